@@ -0,0 +1,30 @@
+'use strict'
+
+const conscript = require('.')()
+
+const scripts = [
+  '$age >= 18 & user.address.city = "Paris"',
+  'tags.some((t){t ^= "admin"}) | $score > 100',
+  '$items.filter((i){i.price > 10}).map((i){i.price}).sum > 50',
+  '($price * $quantity - $discount) / 2 > 100 & $status <> "closed"',
+]
+const vars = {
+  age: 30,
+  score: 42,
+  tags: ['user', 'editor', 'admin:read'],
+  user: {address: {city: 'Paris'}},
+  items: [{price: 5}, {price: 20}, {price: 40}],
+  price: 20,
+  quantity: 12,
+  discount: 15,
+  status: 'open',
+}
+const iterations = 100000
+
+for (const compile of ['closures', 'js']) {
+  const fns = scripts.map(script => conscript(script, {compile}))
+  const start = process.hrtime()
+  for (let i = 0; i < iterations; i++) for (const fn of fns) fn(vars)
+  const [s, ns] = process.hrtime(start)
+  console.log(compile + ': ' + ((s * 1e3) + (ns / 1e6)).toFixed(1) + 'ms for ' + iterations + ' evaluations of ' + fns.length + ' scripts')
+}
@@ -0,0 +1,115 @@
+'use strict'
+
+// Properties which lead to an object's prototype or constructor are never
+// readable, whatever the options say, since they would let a script reach
+// `Function` and run arbitrary code
+const hidden = new Set(['__proto__', 'constructor', 'prototype'])
+
+const policies = new WeakMap()
+
+// Functions which scripts create, and the methods from the registry, can
+// always be called
+const trusted = new WeakSet()
+
+// Read in place of a function which `canCall` rejects
+const blocked = Symbol('blocked')
+
+function normalizeRules (properties) {
+  const rules = new Map()
+  for (const [type, rule] of properties instanceof Map ? properties : new Map(properties)) {
+    if (typeof type !== 'function') throw new TypeError('The keys of the `properties` option must be classes')
+    const {allow, deny} = rule || {}
+    if (Array.isArray(allow) === Array.isArray(deny)) throw new TypeError('The rule for `' + type.name + '` in the `properties` option must have either an `allow` or a `deny` list')
+    rules.set(type, {allow: allow && new Set(allow), deny: deny && new Set(deny)})
+  }
+  return rules
+}
+
+// Returns the rule for the nearest class in the object's prototype chain
+function findRule (rules, obj) {
+  for (let proto = Object.getPrototypeOf(obj); proto; proto = Object.getPrototypeOf(proto)) {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, 'constructor')
+    if (descriptor && rules.has(descriptor.value)) return rules.get(descriptor.value)
+  }
+  return null
+}
+
+function isOwnData (obj, prop) {
+  if (obj instanceof Map) return obj.has(prop)
+  const descriptor = Object.getOwnPropertyDescriptor(obj, prop)
+  return !!descriptor && 'value' in descriptor
+}
+
+// Returns the policy which decides what scripts can read from the objects
+// they're given. By default, only an object's own data properties (or a Map's
+// entries) can be read, so getters and inherited methods aren't reachable.
+// The `properties` option (a Map of classes to `allow` or `deny` lists) changes
+// this for instances of those classes, and the `canAccess` option has the final
+// say. The `canCall` option decides which functions can be called, other than
+// trusted ones. Functions which it allows when they are read from an object
+// are remembered, so that they can be called without asking again.
+function accessPolicy ({properties, canAccess, canCall} = {}) {
+  const key = properties || canAccess || canCall
+  if (key && policies.has(key)) {
+    const cached = policies.get(key)
+    if (cached.properties === properties && cached.canAccess === canAccess && cached.canCall === canCall) return cached.policy
+  }
+  const rules = properties ? normalizeRules(properties) : new Map()
+  const approved = new WeakSet()
+
+  function canRead (obj, prop) {
+    if (hidden.has(prop) && !(obj instanceof Map)) return false
+    const rule = rules.size ? findRule(rules, obj) : null
+    let allowed
+    if (rule && rule.allow) allowed = rule.allow.has(prop) && (obj instanceof Map ? obj.has(prop) : prop in obj)
+    else allowed = isOwnData(obj, prop) && !(rule && rule.deny.has(prop))
+    return typeof canAccess === 'function' ? !!canAccess(obj, prop, allowed) : allowed
+  }
+
+  const permits = (fn, name, obj) => trusted.has(fn) || typeof canCall !== 'function' || !!canCall(fn, name, obj)
+
+  // Returns `blocked` in place of a function which can't be called
+  function filter (value, name, obj) {
+    if (typeof value !== 'function') return value
+    if (!permits(value, name, obj)) return blocked
+    approved.add(value)
+    return value
+  }
+
+  const policy = {
+    canRead,
+    filter,
+    // Whether a function can be called, given the name of the variable it was
+    // read from, if any
+    isCallable: (fn, name) => approved.has(fn) || permits(fn, name, undefined),
+    read (obj, prop) {
+      if (obj instanceof Map) return filter(obj.get(prop), prop, obj)
+      const value = obj[prop]
+      if (typeof value !== 'function' || Object.prototype.hasOwnProperty.call(obj, prop)) return filter(value, prop, obj)
+      if (!permits(value, prop, obj)) return blocked
+      // Methods inherited from a class are called on the object
+      const bound = value.bind(obj)
+      approved.add(bound)
+      return bound
+    },
+    // A copy of the properties that can be read, for methods like `keys`
+    view (obj) {
+      const view = {}
+      for (const prop of Object.keys(obj)) {
+        if (!canRead(obj, prop)) continue
+        const value = policy.read(obj, prop)
+        view[prop] = value === blocked ? null : value
+      }
+      return view
+    },
+  }
+  if (key) policies.set(key, {properties, canAccess, canCall, policy})
+  return policy
+}
+
+function trust (fn) {
+  trusted.add(fn)
+  return fn
+}
+
+module.exports = {accessPolicy, blocked, trust}
@@ -0,0 +1,60 @@
+'use strict'
+
+const ids = new WeakMap()
+let nextId = 0
+
+// Objects and functions can't be turned into strings, so they are represented
+// in cache keys by an ID which is unique to each object.
+function identify (x) {
+  if (x === null || (typeof x !== 'object' && typeof x !== 'function')) return JSON.stringify(x)
+  if (!ids.has(x)) ids.set(x, '#' + nextId++)
+  return ids.get(x)
+}
+
+// Scripts compiled with the same options produce the same function, so the key
+// includes every option which is set.
+function cacheKey (conscription, options) {
+  const parts = Object.keys(options).sort()
+    .filter(key => key !== 'cacheSize' && typeof options[key] !== 'undefined')
+    .map(key => key + '=' + identify(options[key]))
+  return parts.join(',') + '\n' + conscription
+}
+
+// Returns a least-recently-used cache which holds up to `maxSize` entries
+function cache (maxSize) {
+  const entries = new Map()
+  let hits = 0
+  let misses = 0
+
+  function get (key, create) {
+    if (!(maxSize > 0)) return create()
+    if (entries.has(key)) {
+      hits++
+      const value = entries.get(key)
+      // Maps keep their insertion order, so the least recently used entry is
+      // always the first one.
+      entries.delete(key)
+      entries.set(key, value)
+      return value
+    }
+    misses++
+    const value = create()
+    entries.set(key, value)
+    if (entries.size > maxSize) entries.delete(entries.keys().next().value)
+    return value
+  }
+
+  function clear () {
+    entries.clear()
+    hits = 0
+    misses = 0
+  }
+
+  function stats () {
+    return {hits, misses, size: entries.size, maxSize}
+  }
+
+  return {clear, get, stats}
+}
+
+module.exports = {cache, cacheKey}
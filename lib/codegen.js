@@ -0,0 +1,347 @@
+'use strict'
+
+const clone = require('clone')
+const isNonArrayObject = require('isobject')
+const {accessPolicy, trust} = require('./access')
+const compile = require('./compile')
+const {ConscriptSyntaxError} = require('./errors')
+const {methodRegistry} = require('./methods')
+const {isTemporal} = require('./dates')
+const {customOperators} = require('./operators')
+const {
+  accessArrayProp,
+  accessObjectProp,
+  applyBooleanOperator,
+  applyComparisonOperator,
+  applyMathOperator,
+  callFunction,
+  equals,
+  getUserVar,
+  guardVar,
+  letVars,
+  notAVar,
+} = require('./runtime')
+const {isOptionalChain} = compile
+
+const u = x => typeof x === 'undefined'
+const str = JSON.stringify
+const inlineComparisons = ['<', '<=', '>', '>=']
+const inlineMath = {'+': '+', '-': '-', '*': '*', '/': '/', '%': '%', '^': '**'}
+const specialNumbers = ['-0', 'Infinity', '-Infinity', 'NaN']
+const skipped = Symbol('skipped')
+const appliers = {Comparison: applyComparisonOperator, Logical: applyBooleanOperator, Math: applyMathOperator}
+
+// Turns a syntax tree into the source code of a function which receives the
+// runtime (see link()) and returns the compiled script. Anything which can't
+// be written as source code, such as error locations and operators, is put
+// in `data` and looked up by index.
+function generate (ast, source) {
+  const data = {source, locations: [], operators: [], literals: []}
+  let frames = 0
+  const location = ({start, end}) => data.locations.push([start, end]) - 1
+
+  function scope (frame, params, parent) {
+    return {frame, params, parent, temps: 0}
+  }
+
+  function temp (ctx) {
+    return 't' + ctx.temps++
+  }
+
+  function declareTemps (ctx) {
+    if (!ctx.temps) return ''
+    return 'let ' + Array.from({length: ctx.temps}, (x, i) => 't' + i).join(', ') + '\n'
+  }
+
+  // Function parameters are resolved at compile time where possible
+  function lookup (name, ctx) {
+    for (let s = ctx; s; s = s.parent) {
+      if (s.params && s.params.has(name)) return {code: s.frame + '.argVars.get(' + str(name) + ')', param: true}
+    }
+    return {code: 'getUserVar(a, ' + str(name) + ')', param: false}
+  }
+
+  function expression (node, ctx, inTernary) {
+    if (node.type === 'Let') return binding(node, ctx, inTernary)
+    if (node.type !== 'Ternary') return logical(node, ctx, inTernary)
+    const test = temp(ctx)
+    const consequent = temp(ctx)
+    const a = logical(node.test, ctx, true)
+    const b = expression(node.consequent, ctx, true)
+    const c = expression(node.alternate, ctx, true)
+    return '((' + test + ' = ' + a + ', ' + test + ' = (' + test + ' === undefined && dl !== undefined) ? dl : ' + test + ') ? ' +
+      '((' + consequent + ' = ' + b + ') === undefined ? ' + test + ' : ' + consequent + ') : ' + c + ')'
+  }
+
+  function logical (node, ctx, inTernary) {
+    if (node.type !== 'Logical') return comparison(node, ctx, inTernary)
+    const left = logical(node.left, ctx, inTernary)
+    const right = comparison(node.right, ctx, inTernary)
+    switch (node.operator) {
+      case '&': return '(' + left + ' && ' + right + ')'
+      case '|': return '(' + left + ' || ' + right + ')'
+    }
+    return operator(node, left, right)
+  }
+
+  function comparison (node, ctx, inTernary) {
+    const code = value(node, ctx)
+    return inTernary ? code : 'eq(' + code + ', dl)'
+  }
+
+  // Operator implementations receive their operands as functions, since some
+  // operators (e.g. `then`) only evaluate one side.
+  function operator (node, left, right) {
+    const index = data.operators.push({type: node.type, operator: node.operator, location: location(node)}) - 1
+    return 'ops[' + index + ']({left: () => ' + left + ', right: () => ' + right + '})'
+  }
+
+  // Arithmetic on two numbers is written as JavaScript. Anything else goes to
+  // the operator's implementation, as do NaN results (which are errors) and
+  // division by zero.
+  function math (node, ctx) {
+    const left = value(node.left, ctx)
+    const right = value(node.right, ctx)
+    const js = inlineMath[node.operator]
+    if (!js) return operator(node, left, right)
+    const [l, r, result] = [temp(ctx), temp(ctx), temp(ctx)]
+    const nonzero = node.operator === '/' ? r + ' !== 0 && ' : ''
+    return '(' + l + ' = ' + left + ', ' + r + ' = ' + right + ', ' +
+      'typeof ' + l + " === 'number' && typeof " + r + " === 'number' && " + nonzero +
+      '(' + result + ' = ' + l + ' ' + js + ' ' + r + ') === ' + result + ' ? ' + result + ' : ' + operator(node, l, r) + ')'
+  }
+
+  function value (node, ctx) {
+    switch (node.type) {
+      case 'Let': case 'Logical': case 'Ternary': return expression(node, ctx, false)
+      case 'Comparison': {
+        const left = value(node.left, ctx)
+        const right = value(node.right, ctx)
+        if (inlineComparisons.includes(node.operator)) return '(' + left + ' ' + node.operator + ' ' + right + ')'
+        if (node.operator === '=') return 'equals(' + left + ', ' + right + ')'
+        if (node.operator === '<>') {
+          const [l, r] = [temp(ctx), temp(ctx)]
+          return '((' + l + ' = ' + left + ') !== (' + r + ' = ' + right + ') && ' +
+            '((!isTemporal(' + l + ') && !isTemporal(' + r + ')) || !equals(' + l + ', ' + r + ')))'
+        }
+        return operator(node, left, right)
+      }
+      case 'Coalesce': {
+        const t = temp(ctx)
+        return '((' + t + ' = ' + value(node.left, ctx) + ') === null || ' + t + ' === undefined ? ' + value(node.right, ctx) + ' : ' + t + ')'
+      }
+      case 'Math': return math(node, ctx)
+      case 'Group': return expression(node.expression, ctx, false)
+      case 'Not': return 'not(' + value(node.argument, ctx) + ', dl)'
+      case 'Debug': return 'debug(' + str(node.syntax) + ', ' + value(node.argument, ctx) + ')'
+      case 'Call': case 'Member': return valueAccess(node, ctx)
+      case 'Variable': return variable(node, ctx)
+      case 'Identifier': return 'fallback(' + lookup(node.name, ctx).code + ', ' + str(node.name) + ')'
+      case 'Function': return func(node, ctx)
+      case 'Array': return '[' + node.elements.map(element => expression(element, ctx, false)).join(', ') + ']'
+      case 'String': case 'Boolean': return str(node.value)
+      case 'Null': return 'null'
+      case 'Number': return number(node)
+      case 'DefaultLeft': return 'dl'
+      case 'Date': case 'Duration': case 'Regex': return 'lits[' + (data.literals.push(node) - 1) + '](a)'
+    }
+    throw new ConscriptSyntaxError('Unhandled node type `' + node.type + '`', {source, start: node.start, end: node.end})
+  }
+
+  // Numbers which JSON can't represent are written as strings in syntax trees.
+  // The tree may come from anywhere, so nothing else is written into the code.
+  function number (node) {
+    const n = typeof node.value === 'string' && specialNumbers.includes(node.value) ? Number(node.value) : node.value
+    if (typeof n !== 'number') throw new ConscriptSyntaxError('Invalid number `' + node.value + '`', {source, start: node.start, end: node.end})
+    return Object.is(n, -0) ? '(-0)' : '(' + String(n) + ')'
+  }
+
+  function variable (node, ctx) {
+    if (node.computed) return 'variable(' + (ctx.frame || 'null') + ', a, ' + expression(node.name, ctx, false) + ')'
+    if (node.name === '') return 'rootVars(vars)'
+    const {code, param} = lookup(node.name, ctx)
+    return param ? code : 'orNull(' + code + ')'
+  }
+
+  function valueAccess (node, ctx) {
+    let root = node
+    while (root.type === 'Call' || root.type === 'Member') root = root.type === 'Call' ? root.callee : root.object
+    const accessProp = (root.type === 'Array' || root.type === 'String') ? 'accessArrayProp' : 'accessObjectProp'
+    const identifier = (root.type === 'Variable' || root.type === 'Identifier') && !root.computed ? str(root.name) : 'null'
+
+    // In chains with optional links (`?.`), each link checks whether an
+    // earlier one was skipped before using the value of the link before it.
+    function skippable (n, code, use) {
+      if (!isOptionalChain(n)) return use(code)
+      const t = temp(ctx)
+      const skips = t + ' === skipped' + (n.optional ? ' || ' + t + ' === null || ' + t + ' === undefined' : '')
+      return '((' + t + ' = ' + code + '), ' + skips + ' ? skipped : ' + use(t) + ')'
+    }
+
+    const code = (function chain (n, isCallee = false) {
+      if (n.type === 'Call') {
+        const callee = chain(n.callee, true)
+        const funcArgs = n.arguments.map(arg => expression(arg, ctx, false))
+        const name = n.callee === root ? identifier : 'null'
+        return skippable(n, callee, c => 'callFunction(' + identifier + ', () => ' + c + ', [' + funcArgs.join(', ') + '], safeCall, locs[' + location(n) + '], access, ' + name + ')')
+      } else if (n.type === 'Member') {
+        const object = chain(n.object)
+        const prop = n.computed ? expression(n.property, ctx, false) : str(n.property)
+        return skippable(n, object, o => accessProp + '(() => ' + o + ', ' + prop + ', safeNav, locs[' + location(n) + '], registry, access, ' + isCallee + ')')
+      } else if (n.type === 'Identifier') {
+        return variable(n, ctx)
+      } else if (n.type === 'DefaultLeft') {
+        return 'chainStart(dl, locs[' + location(n) + '])'
+      }
+      return value(n, ctx)
+    })(node)
+    return isOptionalChain(node) ? 'unskip(' + code + ')' : code
+  }
+
+  function func ({params, body}, ctx) {
+    const frame = 'f' + frames++
+    const inner = scope(frame, new Set(params.filter(Boolean)), ctx)
+    const code = expression(body, inner, false)
+    const argVars = params.map((name, i) => name ? '[' + str(name) + ', p.length > ' + i + ' ? p[' + i + '] : null]' : '').filter(Boolean)
+    return 'trust((...p) => {\n' + declareTemps(inner) +
+      'const ' + frame + ' = {argVars: new Map([' + argVars.join(', ') + ']), parent: ' + (ctx.frame || 'null') + '}\n' +
+      'return ' + code + '\n})'
+  }
+
+  // The body gets a frame like a function call's, whose variable is computed
+  // by the binding's value the first time it is read
+  function binding ({name, value: bindingValue, body}, ctx, inTernary) {
+    const frame = 'f' + frames++
+    const inner = scope(frame, new Set([name]), ctx)
+    const code = expression(body, inner, inTernary)
+    return '((' + frame + ') => {\n' + declareTemps(inner) + 'return ' + code + '\n})' +
+      '({argVars: letVars(' + str(name) + ', () => ' + value(bindingValue, ctx) + '), parent: ' + (ctx.frame || 'null') + '})'
+  }
+
+  const top = scope(null, null, null)
+  const code = expression(ast, top, false)
+  return {
+    code: 'const {access, accessArrayProp, accessObjectProp, callFunction, chainStart, debug, eq, equals, explain, fallback, getUserVar, isTemporal, letVars, lits, locs, not, ops, orNull, registry, rootVars, safeCall, safeNav, skipped, trust, unskip, variable} = rt\n' +
+      'return function conscription (vars, options) {\n' +
+      'if (options && options.explain) return explain(vars, options)\n' +
+      'const a = [vars, options]\n' +
+      'const dl = (options || {}).defaultLeft\n' +
+      declareTemps(top) +
+      'return ' + code + '\n}',
+    data,
+  }
+}
+
+// Creates the runtime for the code returned by generate(), according to the
+// options which don't affect parsing. Generated code can't be traced, so
+// scripts are explained by `explain`, if given.
+function link (factory, {source, locations, operators, literals}, options = {}, explain = unexplainable) {
+  const {debugOutput, library, methods, now, operators: operatorDefs, regexEngine, safe, safeCall = safe, safeNav = safe, safeOp = safe, unknownsAre} = options
+  const locs = locations.map(([start, end]) => ({source, start, end}))
+  const custom = customOperators(operatorDefs)
+  const access = accessPolicy(options)
+
+  // Library functions and module rules are run by the closure compiler. They
+  // aren't compared to defaultLeft.
+  const libraryFuncs = new Map()
+  function getVar (vars, name) {
+    const entry = library && library.get(name)
+    if (!entry) return guardVar(getUserVar(vars, name), name, access)
+    if (!libraryFuncs.has(entry)) libraryFuncs.set(entry, compile(entry.node, {...options, explain: false, library: entry.scope}, entry.source))
+    return libraryFuncs.get(entry)(vars[0], {...vars[1], defaultLeft: undefined})
+  }
+
+  function lookup (frame, vars, name) {
+    for (let f = frame; f; f = f.parent) if (f.argVars.has(name)) return f.argVars.get(name)
+    return getVar(vars, name)
+  }
+
+  function rootVars (vars) {
+    return isNonArrayObject(vars) ? clone(vars) : {}
+  }
+
+  function orNull (x) {
+    return x === notAVar ? null : x
+  }
+
+  return factory({
+    access,
+    accessArrayProp,
+    accessObjectProp,
+    callFunction,
+    chainStart (defaultLeft, loc) {
+      if (u(defaultLeft)) throw new ConscriptSyntaxError('Property access chains can only begin with a dot (.) if defaultLeft is specified', loc)
+      return defaultLeft
+    },
+    debug (syntax, result) {
+      if (typeof debugOutput === 'function') debugOutput(syntax, result)
+      return result
+    },
+    eq: (result, defaultLeft) => (u(defaultLeft) || typeof result === 'boolean') ? result : result === defaultLeft,
+    equals,
+    explain,
+    fallback (varValue, name) {
+      if (varValue !== notAVar) return varValue
+      switch (unknownsAre) {
+        default:
+        case 'strings':
+        case 'str':
+          return name
+        case 'null':
+        case null:
+          return null
+        case 'errors':
+        case 'err':
+          throw new ReferenceError('Unknown variable: `' + name + '`')
+      }
+    },
+    getUserVar: getVar,
+    isTemporal,
+    letVars,
+    lits: literals.map(node => compile.literal(node, now, source, regexEngine)),
+    locs,
+    not: (result, defaultLeft) => (u(defaultLeft) || typeof result === 'boolean') ? !result : result !== defaultLeft,
+    ops: operators.map(({type, operator, location}) => appliers[type](({left}) => left(), operator, ({right}) => right(), safeOp, locs[location], custom, regexEngine)),
+    orNull,
+    registry: methodRegistry(methods),
+    rootVars,
+    safeCall,
+    safeNav,
+    skipped,
+    trust,
+    unskip: x => x === skipped ? null : x,
+    variable (frame, a, name) {
+      if (name === '') return rootVars(a[0])
+      return orNull(lookup(frame, a, name))
+    },
+  })
+}
+
+function unexplainable () {
+  throw new TypeError('Precompiled scripts do not support the `explain` option')
+}
+
+// Compiles a syntax tree into a JavaScript function with `new Function`.
+// Explaining a script uses the closure compiler, which can trace evaluation.
+function compileJs (ast, options = {}, source) {
+  let explained
+  const explain = (vars, evalOptions) => {
+    if (!explained) explained = compile(ast, {...options, explain: true}, source)
+    return explained(vars, evalOptions)
+  }
+  if (options.explain) return explain
+  const {code, data} = generate(ast, source)
+  return link(new Function('rt', code), data, options, explain) // eslint-disable-line no-new-func
+}
+
+// Returns the source code of a CommonJS module which exports a function that
+// accepts options and returns the compiled script.
+function compileJsModule (ast, source) {
+  const {code, data} = generate(ast, source)
+  return "'use strict'\n\n" +
+    "const {link} = require('conscript/lib/codegen')\n\n" +
+    'const data = ' + str(data) + '\n\n' +
+    'module.exports = (options = {}) => link(function (rt) {\n' + code + '\n}, data, options)\n'
+}
+
+module.exports = {compileJs, compileJsModule, generate, link}
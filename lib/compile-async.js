@@ -0,0 +1,272 @@
+'use strict'
+
+const clone = require('clone')
+const isNonArrayObject = require('isobject')
+const {accessPolicy, trust} = require('./access')
+const {
+  bindingFrame,
+  branching,
+  callFrame,
+  chainRoot,
+  isOptionalChain,
+  libraryScopes,
+  literal,
+  script,
+  scoped,
+  sizedTypes,
+  skipped,
+  skips,
+  unknown,
+} = require('./compile')
+const {ConscriptSyntaxError} = require('./errors')
+const explainer = require('./explain')
+const limits = require('./limits')
+const {methodRegistry} = require('./methods')
+const {customOperators} = require('./operators')
+const {
+  applyBooleanOperator,
+  applyComparisonOperator,
+  applyMathOperator,
+  callFunction,
+  getUserVarAsync,
+  guardVar,
+  notAVar,
+  nullify,
+} = require('./runtime')
+
+const u = x => typeof x === 'undefined'
+
+// The operator implementations read their operands from `args`, so in async
+// mode the operands are awaited first and then passed in place of `args`.
+const leftOperand = ({left}) => left
+const rightOperand = ({right}) => right
+
+// These operators only evaluate one operand if the other is truthy, so that
+// operand isn't awaited (or even started) otherwise.
+const lazyOperands = {then: 'right', before: 'left'}
+
+// Mirrors compile(), except that every step returns a promise so that
+// variables and functions can be asynchronous.
+module.exports = function compileAsync (ast, options = {}, source) {
+  const {debugOutput, explain, library, methods, now: defaultNow, operators, regexEngine, safe, safeCall = safe, safeNav = safe, safeOp = safe, unknownsAre} = options
+  const limit = limits(options)
+  const loc = ({start, end}) => ({source, start, end})
+  const custom = customOperators(operators)
+  const trace = explain ? explainer(source, true) : null
+  const traced = (node, cb) => trace ? trace.traced(node, cb) : cb
+  const registry = methodRegistry(methods, true)
+  const access = accessPolicy(options)
+  const userVar = async (args, varName) => guardVar(await getUserVarAsync(args, varName), varName, access)
+
+  function expression (node, getVar, inTernary) {
+    if (node.type === 'Let') return traced(node, binding(node, getVar, inTernary))
+    if (node.type !== 'Ternary') return logical(node, getVar, inTernary)
+    const a2 = logical(node.test, getVar, true)
+    const a = async args => {
+      const {defaultLeft} = args[1] || {}
+      const result = await a2(args)
+      return (u(result) && !u(defaultLeft)) ? defaultLeft : result
+    }
+    const b2 = expression(node.consequent, getVar, true)
+    const b = async args => {
+      const result = await b2(args)
+      return u(result) ? a(args) : result
+    }
+    const c = expression(node.alternate, getVar, true)
+    return traced(node, async args => (await a(args)) ? b(args) : c(args))
+  }
+
+  function logical (node, getVar, inTernary) {
+    if (node.type !== 'Logical') return comparison(node, getVar, inTernary)
+    const left = logical(node.left, getVar, inTernary)
+    const right = comparison(node.right, getVar, inTernary)
+    switch (node.operator) {
+      case '&': return traced(node, async args => (await left(args)) && right(args))
+      case '|': return traced(node, async args => (await left(args)) || right(args))
+    }
+    return traced(node, binary(left, right, applyBooleanOperator(leftOperand, node.operator, rightOperand, safeOp, loc(node), custom)))
+  }
+
+  function comparison (node, getVar, inTernary) {
+    const cb = value(node, getVar)
+    if (inTernary) return cb
+    return async args => {
+      const {defaultLeft} = args[1] || {}
+      const result = await cb(args)
+      return (u(defaultLeft) || typeof result === 'boolean') ? result : result === defaultLeft
+    }
+  }
+
+  function binary (left, right, apply, operator) {
+    switch (lazyOperands[operator]) {
+      case 'right': return async args => {
+        const l = await left(args)
+        return apply(l ? {left: l, right: await right(args)} : {left: l})
+      }
+      case 'left': return async args => {
+        const r = await right(args)
+        return apply(r ? {left: await left(args), right: r} : {right: r})
+      }
+    }
+    return async args => apply({left: await left(args), right: await right(args)})
+  }
+
+  function budget (node, cb) {
+    if (!limit.enabled) return cb
+    const location = loc(node)
+    const sized = sizedTypes.includes(node.type)
+    return async args => {
+      limit.step(args[3], location)
+      const result = await cb(args)
+      limit.checkTime(args[3], location)
+      if (sized) limit.checkSize(result, location)
+      return result
+    }
+  }
+
+  function value (node, getVar) {
+    const cb = budget(node, unlimitedValue(node, getVar))
+    return branching.includes(node.type) ? cb : traced(node, cb)
+  }
+
+  function unlimitedValue (node, getVar) {
+    switch (node.type) {
+      case 'Let': case 'Logical': case 'Ternary': return expression(node, getVar, false)
+      case 'Comparison': return binary(value(node.left, getVar), value(node.right, getVar), applyComparisonOperator(leftOperand, node.operator, rightOperand, safeOp, loc(node), custom, regexEngine))
+      case 'Coalesce': {
+        const left = value(node.left, getVar)
+        const right = value(node.right, getVar)
+        return async args => {
+          const result = await left(args)
+          return (result === null || u(result)) ? right(args) : result
+        }
+      }
+      case 'Math': return binary(value(node.left, getVar), value(node.right, getVar), applyMathOperator(leftOperand, node.operator, rightOperand, safeOp, loc(node), custom), node.operator)
+      case 'Group': return expression(node.expression, getVar, false)
+      case 'Not': {
+        const cb = value(node.argument, getVar)
+        return async args => {
+          const {defaultLeft} = args[1] || {}
+          const result = await cb(args)
+          return (u(defaultLeft) || typeof result === 'boolean') ? !result : result !== defaultLeft
+        }
+      }
+      case 'Debug': {
+        const cb = value(node.argument, getVar)
+        return async args => {
+          const result = await cb(args)
+          if (typeof debugOutput === 'function') debugOutput(node.syntax, result)
+          return result
+        }
+      }
+      case 'Call': case 'Member': return valueAccess(node, getVar)
+      case 'Variable': return variable(node, getVar)
+      case 'Identifier': return fallback(node, getVar)
+      case 'Function': return func(node, getVar)
+      case 'Array': {
+        const elements = node.elements.map(element => expression(element, getVar, false))
+        return args => Promise.all(elements.map(element => element(args)))
+      }
+    }
+    const cb = literal(node, defaultNow, source, regexEngine)
+    return async args => cb(args)
+  }
+
+  function fallback ({name}, getVar) {
+    return async args => {
+      const varValue = await getVar(args, name)
+      return varValue === notAVar ? unknown(name, unknownsAre) : varValue
+    }
+  }
+
+  function variable (node, getVar) {
+    const identifier = node.computed ? expression(node.name, getVar, false) : async () => node.name
+    return async args => {
+      const varName = await identifier(args)
+      if (varName === '') return isNonArrayObject(args[0]) ? clone(args[0]) : {}
+      const val = await getVar(args, varName)
+      return val === notAVar ? null : val
+    }
+  }
+
+  function valueAccess (node, getVar) {
+    const {root, accessProp, identifier} = chainRoot(node)
+
+    const chain = (function link (n, isCallee = false) {
+      if (n.type === 'Call') {
+        const last = link(n.callee, true)
+        const name = n.callee === root ? identifier : null
+        const funcArgs = n.arguments.map(arg => expression(arg, getVar, false))
+        const location = loc(n)
+        return budget(n, async args => {
+          const callee = await last(args)
+          if (skips(n, callee)) return skipped
+          const values = []
+          for (const arg of funcArgs) values.push(await arg(args))
+          return nullify(await callFunction(identifier, () => callee, values, safeCall, location, access, name))
+        })
+      } else if (n.type === 'Member') {
+        const last = link(n.object)
+        const prop = n.computed ? expression(n.property, getVar, false) : async () => n.property
+        const location = loc(n)
+        return budget(n, async args => {
+          const object = await last(args)
+          if (skips(n, object)) return skipped
+          return nullify(await accessProp(() => object, await prop(args), safeNav, location, registry, access, isCallee))
+        })
+      } else if (n.type === 'Identifier') {
+        return variable(n, getVar)
+      } else if (n.type === 'DefaultLeft') {
+        const location = loc(n)
+        return async ([, {defaultLeft} = {}]) => {
+          if (u(defaultLeft)) throw new ConscriptSyntaxError('Property access chains can only begin with a dot (.) if defaultLeft is specified', location)
+          return defaultLeft
+        }
+      }
+      return value(n, getVar)
+    })(node)
+
+    if (!isOptionalChain(node)) return chain
+    return async args => {
+      const result = await chain(args)
+      return result === skipped ? null : result
+    }
+  }
+
+  function binding (node, getVar, inTernary) {
+    const {name} = node
+    const bindingValue = value(node.value, getVar)
+    const body = expression(node.body, scoped(getVar), inTernary)
+    return args => body(bindingFrame(args, name, bindingValue))
+  }
+
+  function func (node, getVar) {
+    const {params, body} = node
+    const location = loc(node)
+    const cb = expression(body, scoped(getVar), false)
+    return async args => trust(async (...funcArgs) => {
+      const frame = callFrame(args, params, funcArgs)
+      if (!limit.enabled) return cb(frame)
+
+      limit.enter(args[3], location)
+      try {
+        return await cb(frame)
+      } finally {
+        limit.exit(args[3])
+      }
+    })
+  }
+
+  const libraryVar = libraryScopes(userVar, (entry, getVar) => {
+    const scriptSource = source
+    source = entry.source
+    try {
+      return expression(entry.node, getVar, false)
+    } finally {
+      source = scriptSource
+    }
+  })
+
+  const f = expression(ast, library ? libraryVar(library) : userVar, false)
+  return script(f, trace, limit, () => compileAsync(ast, {...options, explain: true}, source))
+}
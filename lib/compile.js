@@ -0,0 +1,387 @@
+'use strict'
+
+const clone = require('clone')
+const isNonArrayObject = require('isobject')
+const {accessPolicy, trust} = require('./access')
+const {parseDate, parseDuration, startOfDay} = require('./dates')
+const {ConscriptSyntaxError} = require('./errors')
+const explainer = require('./explain')
+const limits = require('./limits')
+const {methodRegistry} = require('./methods')
+const {customOperators} = require('./operators')
+const {
+  accessArrayProp,
+  accessObjectProp,
+  applyBooleanOperator,
+  applyComparisonOperator,
+  applyMathOperator,
+  callFunction,
+  getUserVar,
+  guardVar,
+  letVars,
+  notAVar,
+} = require('./runtime')
+const {SafeRegExp} = require('./safe-regex')
+
+const u = x => typeof x === 'undefined'
+const sizedTypes = ['Array', 'Call', 'Math', 'Member']
+const branching = ['Let', 'Logical', 'Ternary']
+
+// Returned by an optional link (`?.`) whose object is null, and passed along
+// by the rest of the chain instead of its value.
+const skipped = Symbol('skipped')
+const skips = (node, object) => object === skipped || (node.optional === true && (object === null || u(object)))
+
+function isOptionalChain (node) {
+  for (let n = node; n.type === 'Call' || n.type === 'Member'; n = n.type === 'Call' ? n.callee : n.object) {
+    if (n.optional) return true
+  }
+  return false
+}
+
+function currentDate (now) {
+  if (typeof now === 'function') now = now()
+  return u(now) ? new Date() : new Date(now)
+}
+
+// Compiles the nodes which don't contain other nodes
+function literal (node, defaultNow, source, regexEngine = 'native') {
+  switch (node.type) {
+    case 'String': case 'Boolean': return () => node.value
+    case 'Null': return () => null
+    case 'Number': {
+      const n = typeof node.value === 'string' ? Number(node.value) : node.value
+      return () => n
+    }
+    case 'Regex': {
+      if (regexEngine === 'native') return () => new RegExp(node.pattern, node.flags)
+      if (regexEngine !== 'safe') throw new TypeError('Unrecognized regex engine `' + regexEngine + '`')
+      // Safe regexes don't keep any state between matches, so one can be shared
+      let regex
+      try {
+        regex = new SafeRegExp(node.pattern, node.flags)
+      } catch (e) {
+        throw new ConscriptSyntaxError(e.message, {source, start: node.start, end: node.end})
+      }
+      return () => regex
+    }
+    case 'Date': {
+      if (node.value === 'now') return ([, {now = defaultNow} = {}]) => currentDate(now)
+      if (node.value === 'today') return ([, {now = defaultNow} = {}]) => startOfDay(currentDate(now))
+      const time = parseDate(node.value).getTime()
+      return () => new Date(time)
+    }
+    case 'Duration': {
+      const duration = parseDuration(node.value)
+      return () => duration
+    }
+    case 'DefaultLeft': return ([, {defaultLeft} = {}]) => defaultLeft
+  }
+  throw new ConscriptSyntaxError('Unhandled node type `' + node.type + '`', {source, start: node.start, end: node.end})
+}
+
+// Returns the value of a name which isn't a variable
+function unknown (name, unknownsAre) {
+  switch (unknownsAre) {
+    default:
+    case 'strings':
+    case 'str':
+      return name
+    case 'null':
+    case null:
+      return null
+    case 'errors':
+    case 'err':
+      throw new ReferenceError('Unknown variable: `' + name + '`')
+  }
+}
+
+// Finds the value at the start of a chain of calls and property accesses. A
+// chain which starts with a name is called by that name.
+function chainRoot (node) {
+  let root = node
+  while (root.type === 'Call' || root.type === 'Member') root = root.type === 'Call' ? root.callee : root.object
+  return {
+    root,
+    accessProp: (root.type === 'Array' || root.type === 'String') ? accessArrayProp : accessObjectProp,
+    identifier: (root.type === 'Variable' || root.type === 'Identifier') && !root.computed ? root.name : null,
+  }
+}
+
+// Variables of a function call or `let` binding are looked up in the frame
+// in `args[2]` before those of enclosing scopes.
+function scoped (getVar) {
+  return ([vars, evalOptions, {argVars, parent}], varName) => {
+    return argVars.has(varName) ? argVars.get(varName) : getVar([vars, evalOptions, parent], varName)
+  }
+}
+
+// A binding's value is computed the first time the body uses it. It keeps
+// the trace entry in `args[4]`, so it is explained along with the body.
+function bindingFrame (args, name, bindingValue) {
+  return [args[0], args[1], {argVars: letVars(name, () => bindingValue(args)), parent: args[2]}, args[3], args[4]]
+}
+
+function callFrame (args, params, funcArgs) {
+  const argVars = new Map()
+  for (let i = 0; i < params.length; i++) {
+    const varName = params[i]
+    if (!varName) continue
+    argVars.set(varName, i >= funcArgs.length ? null : funcArgs[i])
+  }
+  return [args[0], args[1], {argVars, parent: args[2]}, args[3]]
+}
+
+// Library functions and module rules are compiled the first time they are
+// used, by `compileEntry`. They can use the script's variables and the names
+// of the library they were defined in, but not the parameters or bindings of
+// the caller, and defaultLeft doesn't apply to them.
+function libraryScopes (userVar, compileEntry) {
+  const libraryFuncs = new Map()
+  const libraryVars = new Map()
+  return function libraryVar (scope) {
+    if (!libraryVars.has(scope)) {
+      libraryVars.set(scope, (args, varName) => {
+        const entry = scope.get(varName)
+        if (!entry) return userVar(args, varName)
+        if (!libraryFuncs.has(entry)) libraryFuncs.set(entry, compileEntry(entry, libraryVar(entry.scope)))
+        return libraryFuncs.get(entry)([args[0], {...args[1], defaultLeft: undefined}, null, args[3]])
+      })
+    }
+    return libraryVars.get(scope)
+  }
+}
+
+// Returns the compiled script, which runs `f` with the evaluation state it
+// needs. Scripts are compiled again with tracing (by `recompile`) the first
+// time they are explained.
+function script (f, trace, limit, recompile) {
+  if (trace) return (vars, evalOptions) => trace.explain(tree => f([vars, evalOptions, null, limit.enabled ? limit.createState() : null, tree]))
+  let explained
+  const explainOr = run => (vars, evalOptions) => {
+    if (!evalOptions || !evalOptions.explain) return run(vars, evalOptions)
+    if (!explained) explained = recompile()
+    return explained(vars, evalOptions)
+  }
+  if (!limit.enabled) return explainOr((vars, evalOptions) => f([vars, evalOptions]))
+  return explainOr((vars, evalOptions) => f([vars, evalOptions, null, limit.createState()]))
+}
+
+module.exports = function compile (ast, options = {}, source) {
+  const {debugOutput, explain, library, methods, now: defaultNow, operators, regexEngine, safe, safeCall = safe, safeNav = safe, safeOp = safe, unknownsAre} = options
+  const limit = limits(options)
+  const loc = ({start, end}) => ({source, start, end})
+  const custom = customOperators(operators)
+  const trace = explain ? explainer(source, false) : null
+  const traced = (node, cb) => trace ? trace.traced(node, cb) : cb
+  const registry = methodRegistry(methods)
+  const access = accessPolicy(options)
+  const userVar = (args, varName) => guardVar(getUserVar(args, varName), varName, access)
+
+  function expression (node, getVar, inTernary) {
+    if (node.type === 'Let') return traced(node, binding(node, getVar, inTernary))
+    if (node.type !== 'Ternary') return logical(node, getVar, inTernary)
+    const a2 = logical(node.test, getVar, true)
+    const a = args => {
+      const {defaultLeft} = args[1] || {}
+      const result = a2(args)
+      return (u(result) && !u(defaultLeft)) ? defaultLeft : result
+    }
+    const b2 = expression(node.consequent, getVar, true)
+    const b = args => {
+      const result = b2(args)
+      return u(result) ? a(args) : result
+    }
+    const c = expression(node.alternate, getVar, true)
+    return traced(node, args => a(args) ? b(args) : c(args))
+  }
+
+  function logical (node, getVar, inTernary) {
+    if (node.type !== 'Logical') return comparison(node, getVar, inTernary)
+    return traced(node, applyBooleanOperator(logical(node.left, getVar, inTernary), node.operator, comparison(node.right, getVar, inTernary), safeOp, loc(node), custom))
+  }
+
+  function comparison (node, getVar, inTernary) {
+    const cb = value(node, getVar)
+    if (inTernary) return cb
+    return args => {
+      const {defaultLeft} = args[1] || {}
+      const result = cb(args)
+      return (u(defaultLeft) || typeof result === 'boolean') ? result : result === defaultLeft
+    }
+  }
+
+  // Evaluation state for enforcing limits is kept in `args[3]`
+  function budget (node, cb) {
+    if (!limit.enabled) return cb
+    const location = loc(node)
+    const sized = sizedTypes.includes(node.type)
+    return args => {
+      limit.step(args[3], location)
+      const result = cb(args)
+      if (sized) limit.checkSize(result, location)
+      return result
+    }
+  }
+
+  function value (node, getVar) {
+    const cb = budget(node, unlimitedValue(node, getVar))
+    return branching.includes(node.type) ? cb : traced(node, cb)
+  }
+
+  function unlimitedValue (node, getVar) {
+    switch (node.type) {
+      case 'Let': case 'Logical': case 'Ternary': return expression(node, getVar, false)
+      case 'Comparison': return applyComparisonOperator(value(node.left, getVar), node.operator, value(node.right, getVar), safeOp, loc(node), custom, regexEngine)
+      case 'Coalesce': {
+        const left = value(node.left, getVar)
+        const right = value(node.right, getVar)
+        return args => {
+          const result = left(args)
+          return (result === null || u(result)) ? right(args) : result
+        }
+      }
+      case 'Math': return applyMathOperator(value(node.left, getVar), node.operator, value(node.right, getVar), safeOp, loc(node), custom)
+      case 'Group': return expression(node.expression, getVar, false)
+      case 'Not': {
+        const cb = value(node.argument, getVar)
+        return args => {
+          const {defaultLeft} = args[1] || {}
+          const result = cb(args)
+          return (u(defaultLeft) || typeof result === 'boolean') ? !result : result !== defaultLeft
+        }
+      }
+      case 'Debug': {
+        const cb = value(node.argument, getVar)
+        return args => {
+          const result = cb(args)
+          if (typeof debugOutput === 'function') debugOutput(node.syntax, result)
+          return result
+        }
+      }
+      case 'Call': case 'Member': return valueAccess(node, getVar)
+      case 'Variable': return variable(node, getVar)
+      case 'Identifier': return fallback(node, getVar)
+      case 'Function': return func(node, getVar)
+      case 'Array': {
+        const elements = node.elements.map(element => expression(element, getVar, false))
+        return args => elements.map(element => element(args))
+      }
+    }
+    return literal(node, defaultNow, source, regexEngine)
+  }
+
+  function fallback ({name}, getVar) {
+    return args => {
+      const varValue = getVar(args, name)
+      return varValue === notAVar ? unknown(name, unknownsAre) : varValue
+    }
+  }
+
+  function variable (node, getVar) {
+    const identifier = node.computed ? expression(node.name, getVar, false) : () => node.name
+    return args => {
+      const varName = identifier(args)
+      if (varName === '') return isNonArrayObject(args[0]) ? clone(args[0]) : {}
+      const val = getVar(args, varName)
+      return val === notAVar ? null : val
+    }
+  }
+
+  function valueAccess (node, getVar) {
+    const {root, accessProp, identifier} = chainRoot(node)
+
+    const chain = (function link (n, isCallee = false) {
+      if (n.type === 'Call') {
+        const last = link(n.callee, true)
+        const name = n.callee === root ? identifier : null
+        const funcArgs = n.arguments.map(arg => expression(arg, getVar, false))
+        const location = loc(n)
+        if (!isOptionalChain(n)) return budget(n, args => callFunction(identifier, () => last(args), funcArgs.map(arg => arg(args)), safeCall, location, access, name))
+        return budget(n, args => {
+          const callee = last(args)
+          return skips(n, callee) ? skipped : callFunction(identifier, () => callee, funcArgs.map(arg => arg(args)), safeCall, location, access, name)
+        })
+      } else if (n.type === 'Member') {
+        const last = link(n.object)
+        const prop = n.computed ? expression(n.property, getVar, false) : () => n.property
+        const location = loc(n)
+        if (!isOptionalChain(n)) return budget(n, args => accessProp(() => last(args), prop(args), safeNav, location, registry, access, isCallee))
+        return budget(n, args => {
+          const object = last(args)
+          return skips(n, object) ? skipped : accessProp(() => object, prop(args), safeNav, location, registry, access, isCallee)
+        })
+      } else if (n.type === 'Identifier') {
+        return variable(n, getVar)
+      } else if (n.type === 'DefaultLeft') {
+        const location = loc(n)
+        return ([, {defaultLeft} = {}]) => {
+          if (u(defaultLeft)) throw new ConscriptSyntaxError('Property access chains can only begin with a dot (.) if defaultLeft is specified', location)
+          return defaultLeft
+        }
+      }
+      return value(n, getVar)
+    })(node)
+
+    if (!isOptionalChain(node)) return chain
+    return args => {
+      const result = chain(args)
+      return result === skipped ? null : result
+    }
+  }
+
+  function binding (node, getVar, inTernary) {
+    const {name} = node
+    const bindingValue = value(node.value, getVar)
+    const body = expression(node.body, scoped(getVar), inTernary)
+    return args => body(bindingFrame(args, name, bindingValue))
+  }
+
+  function func (node, getVar) {
+    const {params, body} = node
+    const location = loc(node)
+    const cb = expression(body, scoped(getVar), false)
+    return args => trust((...funcArgs) => {
+      const frame = callFrame(args, params, funcArgs)
+      if (!limit.enabled) return cb(frame)
+
+      limit.enter(args[3], location)
+      try {
+        return cb(frame)
+      } finally {
+        limit.exit(args[3])
+      }
+    })
+  }
+
+  // Library entries have their own source for error locations
+  const libraryVar = libraryScopes(userVar, (entry, getVar) => {
+    const scriptSource = source
+    source = entry.source
+    try {
+      return expression(entry.node, getVar, false)
+    } finally {
+      source = scriptSource
+    }
+  })
+
+  const f = expression(ast, library ? libraryVar(library) : userVar, false)
+  return script(f, trace, limit, () => compile(ast, {...options, explain: true}, source))
+}
+
+// The async compiler builds its tree the same way
+Object.assign(module.exports, {
+  branching,
+  bindingFrame,
+  callFrame,
+  chainRoot,
+  isOptionalChain,
+  libraryScopes,
+  literal,
+  script,
+  scoped,
+  sizedTypes,
+  skipped,
+  skips,
+  unknown,
+})
@@ -0,0 +1,96 @@
+'use strict'
+
+const day = 86400000
+const averageMonth = 2629746000
+const units = {ms: 1, s: 1000, m: 60000, h: 3600000, d: day, w: 7 * day}
+
+const dateLiteral = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/
+const compactDuration = /^-?(\d+(\.\d+)?(ms|mo|y|w|d|h|m|s))+(?![a-zA-Z0-9_])/
+const compactDurationPart = /(\d+(?:\.\d+)?)(ms|mo|y|w|d|h|m|s)/g
+const isoDuration = /^-?P(?=\d|T\d)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?(?![a-zA-Z0-9_])/
+
+// Months (and years) vary in length, so they are kept separate from the
+// fixed-length part of a duration until the duration is applied to a date.
+class Duration {
+  constructor ({months = 0, milliseconds = 0} = {}) {
+    this.months = months
+    this.milliseconds = milliseconds
+  }
+
+  negate () {
+    return new Duration({months: -this.months, milliseconds: -this.milliseconds})
+  }
+
+  plus (other) {
+    return new Duration({months: this.months + other.months, milliseconds: this.milliseconds + other.milliseconds})
+  }
+
+  times (n) {
+    return new Duration({months: this.months * n, milliseconds: this.milliseconds * n})
+  }
+
+  valueOf () {
+    return (this.months * averageMonth) + this.milliseconds
+  }
+}
+
+function parseDate (str) {
+  if (!dateLiteral.test(str)) return null
+  // Times without a time zone are treated as UTC so that results don't
+  // depend on where the script runs.
+  const date = new Date(/T[^Z+-]+$/.test(str) ? str + 'Z' : str)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+function parseDuration (str) {
+  const neg = str.startsWith('-')
+  if (neg) str = str.substr(1)
+  let months = 0
+  let milliseconds = 0
+
+  if (str.startsWith('P')) {
+    const [, y, mo, w, d, , h, m, s] = str.match(isoDuration)
+    const n = x => x ? parseFloat(x) : 0
+    months = (n(y) * 12) + n(mo)
+    milliseconds = (n(w) * units.w) + (n(d) * units.d) + (n(h) * units.h) + (n(m) * units.m) + (n(s) * units.s)
+  } else {
+    let part
+    compactDurationPart.lastIndex = 0
+    while ((part = compactDurationPart.exec(str))) {
+      const [, amount, unit] = part
+      if (unit === 'y') months += amount * 12
+      else if (unit === 'mo') months += Number(amount)
+      else milliseconds += amount * units[unit]
+    }
+  }
+
+  const duration = new Duration({months, milliseconds})
+  return neg ? duration.negate() : duration
+}
+
+// Returns the duration literal at the start of `str`, if there is one.
+function matchDuration (str) {
+  const match = str.match(compactDuration) || str.match(isoDuration)
+  return match ? match[0] : ''
+}
+
+function addDuration (date, {months, milliseconds}) {
+  const result = new Date(date.getTime())
+  if (months) {
+    const dayOfMonth = result.getUTCDate()
+    result.setUTCDate(1)
+    result.setUTCMonth(result.getUTCMonth() + months)
+    // Clamp to the end of the month (e.g. January 31 + 1 month = February 28)
+    const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate()
+    result.setUTCDate(Math.min(dayOfMonth, daysInMonth))
+  }
+  return new Date(result.getTime() + milliseconds)
+}
+
+function startOfDay (date) {
+  return new Date(Math.floor(date.getTime() / day) * day)
+}
+
+const isTemporal = x => x instanceof Date || x instanceof Duration
+
+module.exports = {Duration, addDuration, isTemporal, matchDuration, parseDate, parseDuration, startOfDay}
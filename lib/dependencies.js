@@ -0,0 +1,124 @@
+'use strict'
+
+const compile = require('./compile')
+
+const u = x => typeof x === 'undefined'
+
+function isConstant (node) {
+  switch (node.type) {
+    case 'Boolean': case 'Duration': case 'Null': case 'Number': case 'Regex': case 'String': return true
+    case 'Date': return node.value !== 'now' && node.value !== 'today'
+    case 'Array': return node.elements.every(isConstant)
+    case 'Group': return isConstant(node.expression)
+    case 'Not': return isConstant(node.argument)
+    case 'Logical': case 'Comparison': case 'Coalesce': case 'Math': return isConstant(node.left) && isConstant(node.right)
+    case 'Ternary': return isConstant(node.test) && isConstant(node.consequent) && isConstant(node.alternate)
+  }
+  return false
+}
+
+function constantValue (node) {
+  if (!isConstant(node)) return
+  try {
+    return compile(node)()
+  } catch (e) {}
+}
+
+module.exports = function dependencies (ast) {
+  const variables = new Set()
+  const identifiers = new Set()
+  const functions = new Set()
+  const paths = new Map()
+  let dynamic = false
+
+  function record (path) {
+    if (!path) return
+    if (path.length === 0) dynamic = true
+    else if (path.length > 1) paths.set(JSON.stringify(path), path)
+  }
+
+  function read (name, params) {
+    if (params.has(name)) return null
+    variables.add(name)
+    return [name]
+  }
+
+  // Returns the path of the variable that the node reads, an empty array if
+  // the node is the `$` object itself, or null if it isn't a variable.
+  function reference (node, params) {
+    switch (node.type) {
+      case 'Variable': {
+        if (!node.computed) return node.name === '' ? [] : read(node.name, params)
+        visit(node.name, params)
+        const name = constantValue(node.name)
+        if (u(name)) {
+          dynamic = true
+          return null
+        }
+        return name === '' ? [] : read(String(name), params)
+      }
+      case 'Identifier': return node.name === '' ? [] : read(node.name, params)
+      case 'Member': {
+        const path = reference(node.object, params)
+        let {property} = node
+        if (node.computed) {
+          visit(node.property, params)
+          property = constantValue(node.property)
+        }
+        if (!path) return null
+        if (u(property)) {
+          if (path.length === 0) dynamic = true
+          return null
+        }
+        // The `$` object holds user variables only, so parameters don't apply
+        if (path.length === 0) return read(String(property), new Set())
+        return [...path, String(property)]
+      }
+      case 'Call': {
+        const path = reference(node.callee, params)
+        record(path)
+        if (path && path.length === 1 && (node.callee.type === 'Variable' || node.callee.type === 'Identifier')) functions.add(path[0])
+        for (const arg of node.arguments) visit(arg, params)
+        return null
+      }
+    }
+    visit(node, params)
+    return null
+  }
+
+  function visit (node, params) {
+    switch (node.type) {
+      case 'Ternary':
+        visit(node.test, params)
+        visit(node.consequent, params)
+        visit(node.alternate, params)
+        break
+      case 'Logical': case 'Comparison': case 'Coalesce': case 'Math':
+        visit(node.left, params)
+        visit(node.right, params)
+        break
+      case 'Not': case 'Debug': visit(node.argument, params); break
+      case 'Group': visit(node.expression, params); break
+      case 'Array': for (const element of node.elements) visit(element, params); break
+      case 'Function': visit(node.body, new Set([...params, ...node.params.filter(Boolean)])); break
+      case 'Let':
+        visit(node.value, params)
+        visit(node.body, new Set([...params, node.name]))
+        break
+      case 'Identifier':
+        if (!params.has(node.name)) identifiers.add(node.name)
+        break
+      case 'Variable': case 'Member': case 'Call': record(reference(node, params))
+    }
+  }
+
+  visit(ast, new Set())
+
+  return {
+    variables: [...variables],
+    identifiers: [...identifiers],
+    functions: [...functions],
+    paths: [...paths.values()],
+    dynamic,
+  }
+}
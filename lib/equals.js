@@ -0,0 +1,16 @@
+'use strict'
+
+const objectEquals = require('equals')
+
+function zeroStringToNumber (x) {
+  if (x === '0') return 0
+  if (x === '-0') return -0
+  return x
+}
+
+module.exports = function equals (l, r) {
+  l = zeroStringToNumber(l)
+  r = zeroStringToNumber(r)
+  if (l === 0 && r === 0) return Object.is(l, r)
+  return objectEquals(l, r)
+}
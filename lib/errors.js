@@ -0,0 +1,67 @@
+'use strict'
+
+const lineBreak = /\r\n|\r|\n/
+
+function locate (error, {source, start, end = start} = {}) {
+  error.formatted = error.message
+  if (typeof start !== 'number') return
+  error.offset = start
+  error.length = end - start
+  if (typeof source !== 'string') return
+
+  error.source = source
+  error.snippet = source.slice(start, end)
+  const linesBefore = source.slice(0, start).split(lineBreak)
+  error.line = linesBefore.length
+  error.column = linesBefore[linesBefore.length - 1].length + 1
+
+  const lineText = source.split(lineBreak)[error.line - 1]
+  const width = Math.max(1, Math.min(end - start, lineText.length - error.column + 1))
+  const gutter = ' '.repeat(String(error.line).length)
+  error.formatted = error.message + '\n' +
+    error.line + ' | ' + lineText + '\n' +
+    gutter + ' | ' + lineText.slice(0, error.column - 1).replace(/[^\t]/g, ' ') + '^'.repeat(width)
+}
+
+class ConscriptSyntaxError extends SyntaxError {
+  constructor (message, location) {
+    super(message)
+    this.name = 'ConscriptSyntaxError'
+    locate(this, location)
+  }
+}
+
+class ConscriptRuntimeError extends TypeError {
+  constructor (message, location) {
+    super(message)
+    this.name = 'ConscriptRuntimeError'
+    locate(this, location)
+  }
+}
+
+class ConscriptLimitError extends RangeError {
+  constructor (message, limit, location) {
+    super(message)
+    this.name = 'ConscriptLimitError'
+    this.limit = limit
+    locate(this, location)
+  }
+}
+
+class ConscriptSchemaError extends TypeError {
+  constructor (message, location) {
+    super(message)
+    this.name = 'ConscriptSchemaError'
+    locate(this, location)
+  }
+}
+
+class ConscriptTranslationError extends TypeError {
+  constructor (message, location) {
+    super(message)
+    this.name = 'ConscriptTranslationError'
+    locate(this, location)
+  }
+}
+
+module.exports = {ConscriptLimitError, ConscriptRuntimeError, ConscriptSchemaError, ConscriptSyntaxError, ConscriptTranslationError}
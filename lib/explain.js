@@ -0,0 +1,126 @@
+'use strict'
+
+const isNonArrayObject = require('isobject')
+const stringify = require('./stringify')
+const toLiteral = require('./to-literal')
+
+const u = x => typeof x === 'undefined'
+const branches = {Coalesce: ['left', 'right'], Logical: ['left', 'right'], Ternary: ['test', 'consequent', 'alternate']}
+const compound = ['Coalesce', 'Comparison', 'Group', 'Let', 'Logical', 'Math', 'Not', 'Ternary']
+const constant = ['Boolean', 'Duration', 'Null', 'Number', 'Regex', 'String']
+
+// The syntax tree node which each explanation entry describes
+const nodes = new WeakMap()
+
+// Writes a value the way it would be written in a script where possible
+function format (value, seen = new Set()) {
+  if (u(value)) return 'undefined'
+  if (typeof value === 'function') return 'function'
+  const literal = toLiteral(value)
+  if (literal) return stringify(literal)
+  if (seen.has(value)) return '[circular]'
+  if (Array.isArray(value)) return '[' + value.map(item => format(item, new Set([...seen, value]))).join(', ') + ']'
+  const entries = value instanceof Map ? Array.from(value) : isNonArrayObject(value) ? Object.entries(value) : null
+  if (!entries) return String(value)
+  return '{' + entries.map(([k, v]) => k + ': ' + format(v, new Set([...seen, value]))).join(', ') + '}'
+}
+
+// The entries to list beneath an entry. Chains of the same logical operator
+// are listed together rather than nested.
+function subexpressions (entry) {
+  if (entry.type === 'Ternary' || entry.type === 'Coalesce') return entry.children
+  if (entry.type !== 'Logical') return entry.children.filter(child => compound.includes(child.type))
+  const {operator} = nodes.get(entry)
+  return entry.children.flatMap(child => {
+    const chained = child.type === 'Logical' && !child.skipped && nodes.get(child).operator === operator
+    return chained ? subexpressions(child) : [child]
+  })
+}
+
+// Turns an explanation tree into lines such as `$age (17) >= 18 → false`,
+// with the parts of each expression indented beneath it.
+function render (tree) {
+  const lines = []
+
+  function operand (entry) {
+    return constant.includes(entry.type) ? entry.source : entry.source + ' (' + format(entry.value) + ')'
+  }
+
+  function line (entry, depth) {
+    if (entry.type === 'Group' && entry.children.length) return line(entry.children[0], depth)
+    let text
+    if (entry.skipped) {
+      text = entry.source + ' (skipped)'
+    } else if ((entry.type === 'Comparison' || entry.type === 'Math') && entry.children.length === 2) {
+      const [left, right] = entry.children
+      text = operand(left) + ' ' + nodes.get(entry).operator + ' ' + operand(right) + ' → ' + format(entry.value)
+    } else {
+      text = entry.source + ' → ' + format(entry.value)
+    }
+    lines.push('  '.repeat(depth) + text)
+    if (!entry.skipped) for (const child of subexpressions(entry)) line(child, depth + 1)
+  }
+
+  line(tree, 0)
+  return lines.join('\n')
+}
+
+// Records the value of each expression as a script is evaluated. The compiler
+// wraps each node with traced(), which adds an entry to the explanation tree
+// passed in `args[4]` and passes the new entry on to the node's operands.
+// Function bodies run with new `args`, so they aren't traced.
+module.exports = function explainer (source, isAsync) {
+  function describe (node, skipped) {
+    const entry = {
+      type: node.type,
+      source: typeof source === 'string' ? source.slice(node.start, node.end) : stringify(node),
+      skipped,
+      children: [],
+    }
+    nodes.set(entry, node)
+    return entry
+  }
+
+  // A ternary test is evaluated again if the consequent is undefined, so
+  // entries are reused rather than added twice.
+  function child (parent, node) {
+    let entry = parent.children.find(e => nodes.get(e) === node)
+    if (!entry) parent.children.push(entry = describe(node, false))
+    return entry
+  }
+
+  // Operands aren't always evaluated in script order (e.g. arguments are
+  // evaluated before the function), so children are put in script order here,
+  // along with any operands which short-circuiting skipped.
+  function finish (entry, node, value) {
+    entry.value = value
+    if (node.type in branches) {
+      entry.children = branches[node.type].map(key => entry.children.find(e => nodes.get(e) === node[key]) || describe(node[key], true))
+    } else {
+      entry.children.sort((a, b) => nodes.get(a).start - nodes.get(b).start)
+    }
+    return value
+  }
+
+  function traced (node, cb) {
+    return args => {
+      if (!args[4]) return cb(args)
+      const entry = child(args[4], node)
+      const result = cb([args[0], args[1], args[2], args[3], entry])
+      return isAsync ? result.then(value => finish(entry, node, value)) : finish(entry, node, result)
+    }
+  }
+
+  // Calls `evaluate` with the root of a new tree and returns its result along
+  // with the explanation.
+  function explain (evaluate) {
+    const root = {children: []}
+    const explanation = result => {
+      const [tree] = root.children
+      return {result, tree, text: render(tree)}
+    }
+    return isAsync ? evaluate(root).then(explanation) : explanation(evaluate(root))
+  }
+
+  return {explain, traced}
+}
@@ -0,0 +1,364 @@
+'use strict'
+
+const {ConscriptTranslationError} = require('./errors')
+const {methodRegistry} = require('./methods')
+const stringify = require('./stringify')
+
+const primitives = ['boolean', 'null', 'number', 'string']
+const orderings = ['<', '<=', '>=', '>']
+const arrayMethods = {map: 'map', some: 'some', every: 'all', filter: 'filter'}
+const callbackOps = {map: 'map', some: 'some', all: 'every', none: 'some', filter: 'filter'}
+const isZero = value => value === 0 || value === '0' || value === '-0'
+
+// Each converted expression has a `kind`: the type of value it produces, if
+// that is known, or else `any`. Constants also have their `value`.
+const constant = value => ({kind: value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value, constant: true, value})
+
+// JsonLogic treats empty arrays as false, whereas Conscript treats them as true
+const truthinessDiffers = ({kind}) => kind === 'array' || kind === 'any'
+
+// Conscript's `=` compares arrays and objects by value, and treats 0 and -0
+// (or "0" and "-0") as different, unlike `===`. These only matter if neither
+// operand is a constant other than zero.
+const strictEqualityDiffers = (a, b) => {
+  if ([a, b].some(x => x.constant && primitives.includes(x.kind) && !isZero(x.value))) return false
+  return !(a.kind === b.kind && ['boolean', 'null', 'string'].includes(a.kind))
+}
+
+// `in` compares elements with `=` in Conscript, and with `===` in JsonLogic
+const inclusionDiffers = (needle, haystack) => {
+  if (needle.constant && primitives.includes(needle.kind) && !isZero(needle.value)) return false
+  if (haystack.constant && haystack.kind === 'array' && haystack.value.every(v => v === null || (primitives.includes(typeof v) && !isZero(v)))) return false
+  return haystack.kind !== 'string'
+}
+
+// The types which have a built-in property (or method) with a name, in the
+// order of the registry, e.g. `['array', 'string']` for `count`
+function builtInTypes (registry, name) {
+  const types = Object.keys(registry).filter(type => Object.prototype.hasOwnProperty.call(registry[type], name))
+  // Strings also have the array properties
+  if (types.includes('array') && !types.includes('string')) types.splice(types.indexOf('array') + 1, 0, 'string')
+  return types
+}
+
+const enumerate = items => items.length > 1 ? items.slice(0, -1).join(', ') + ' and ' + items[items.length - 1] : items[0]
+
+const allNumbers = operands => operands.every(x => x.kind === 'number')
+const nonzeroConstant = x => x.constant && x.kind === 'number' && x.value !== 0
+
+function differences (strict, location = () => undefined) {
+  const list = []
+  const differ = (message, node) => {
+    const e = new ConscriptTranslationError(message, location(node))
+    if (strict) throw e
+    list.push(e)
+  }
+  return {list, differ}
+}
+
+// Converts a JsonLogic rule into a script. Variables are read with optional
+// chaining, since JsonLogic returns null for a missing variable.
+function fromJsonLogic (logic, {strict = false} = {}) {
+  const {list, differ} = differences(strict)
+  const fail = message => { throw new ConscriptTranslationError(message) }
+
+  const literal = value => {
+    if (value === null) return {type: 'Null'}
+    if (typeof value === 'number') {
+      if (!isFinite(value)) fail('Cannot convert the number `' + value + '`')
+      return {type: 'Number', value}
+    }
+    return {type: typeof value === 'string' ? 'String' : 'Boolean', value}
+  }
+  const binary = (type, operator) => (left, right) => ({type, operator, left, right})
+  const chain = (type, operator, nodes) => nodes.reduce(binary(type, operator))
+
+  function variable (path, params) {
+    const param = params[params.length - 1]
+    const segments = path === null || path === '' ? [] : String(path).split('.')
+    let node = param ? {type: 'Identifier', name: param} : {type: 'Variable', name: segments.length ? segments.shift() : ''}
+    for (const property of segments) node = {type: 'Member', object: node, property, optional: true}
+    return node
+  }
+
+  function truthy (x, op) {
+    if (truthinessDiffers(x)) differ('`' + op + '` treats empty arrays as false in JsonLogic, but they are true in Conscript')
+    return x
+  }
+
+  function callback (op, args, params) {
+    if (args.length !== 2) fail('`' + op + '` requires an array and a rule')
+    const array = convert(args[0], params)
+    const param = 'x' + (params.length || '')
+    const body = convert(args[1], [...params, param])
+    if (op !== 'map') truthy(body, op)
+    if (op === 'all') differ('`all` is false for an empty array in JsonLogic, but `every` is true in Conscript')
+    const object = array.kind === 'array' ? array.node : binary('Coalesce', '??')(array.node, {type: 'Array', elements: []})
+    const call = {
+      type: 'Call',
+      callee: {type: 'Member', object, property: callbackOps[op]},
+      arguments: [{type: 'Function', params: [param], body: body.node}],
+    }
+    if (op === 'none') return {node: {type: 'Not', argument: call}, kind: 'boolean'}
+    return {node: call, kind: op === 'map' || op === 'filter' ? 'array' : 'boolean'}
+  }
+
+  function math (op, operands) {
+    const numbers = allNumbers(operands)
+    switch (op) {
+      case '+':
+        if (!numbers) differ('`+` converts strings to numbers in JsonLogic, but adds them together in Conscript')
+        return chain('Math', '+', [literal(0), ...operands.map(x => x.node)].slice(operands.length > 1 ? 1 : 0))
+      case '-':
+        if (!numbers) differ('`-` subtracts numbers in JsonLogic, but removes text from strings in Conscript')
+        if (operands.length === 1) return binary('Math', '-')(literal(0), operands[0].node)
+        if (operands.length !== 2) fail('`-` requires one or two operands')
+        return binary('Math', '-')(operands[0].node, operands[1].node)
+      case '*':
+        if (!numbers) differ('`*` converts strings to numbers in JsonLogic, but not in Conscript')
+        return chain('Math', '*', operands.map(x => x.node))
+      case '/': case '%':
+        if (operands.length !== 2) fail('`' + op + '` requires two operands')
+        if (!numbers || !nonzeroConstant(operands[1])) differ('`' + op + '` by zero produces a number in JsonLogic, but null in Conscript')
+        return binary('Math', op)(operands[0].node, operands[1].node)
+    }
+  }
+
+  function convert (logic, params) {
+    if (Array.isArray(logic)) {
+      const elements = logic.map(element => convert(element, params))
+      const value = elements.every(x => x.constant) ? elements.map(x => x.value) : undefined
+      return {node: {type: 'Array', elements: elements.map(x => x.node)}, kind: 'array', constant: !!value, value}
+    }
+    if (logic === null || typeof logic !== 'object') return {node: literal(logic), ...constant(logic)}
+
+    const keys = Object.keys(logic)
+    if (keys.length !== 1) fail('A JsonLogic rule must be an object with one key')
+    const [op] = keys
+    const args = Array.isArray(logic[op]) ? logic[op] : [logic[op]]
+    if (op === 'var') {
+      if (args.length && args[0] !== null && typeof args[0] === 'object') fail('Cannot convert a `var` with a computed name')
+      const node = variable(args[0], params)
+      if (args.length < 2 || args[1] === null) return {node, kind: 'any'}
+      return {node: binary('Coalesce', '??')(node, convert(args[1], params).node), kind: 'any'}
+    }
+    if (op in callbackOps) return callback(op, args, params)
+
+    const operands = args.map(arg => convert(arg, params))
+    const nodes = operands.map(x => x.node)
+    switch (op) {
+      case 'and': case 'or':
+        if (!operands.length) fail('`' + op + '` requires at least one operand')
+        operands.forEach(x => truthy(x, op))
+        return {node: chain('Logical', op === 'and' ? '&' : '|', nodes), kind: operands.every(x => x.kind === 'boolean') ? 'boolean' : 'any'}
+      case '!': case '!!': {
+        if (operands.length !== 1) fail('`' + op + '` requires one operand')
+        truthy(operands[0], op)
+        const not = {type: 'Not', argument: nodes[0]}
+        return {node: op === '!' ? not : {type: 'Not', argument: not}, kind: 'boolean'}
+      }
+      case '==': case '===': case '!=': case '!==': {
+        if (operands.length !== 2) fail('`' + op + '` requires two operands')
+        const [a, b] = operands
+        if ((op === '==' || op === '!=') && !(a.kind === b.kind && primitives.includes(a.kind))) {
+          differ('`' + op + '` converts types in JsonLogic (e.g. "1" == 1), but Conscript compares values of different types as unequal')
+        } else if (op === '==' || op === '===') {
+          if (strictEqualityDiffers(a, b)) differ('`' + op + '` compares arrays and objects by identity in JsonLogic, but by value in Conscript, which also treats 0 and -0 as unequal')
+        }
+        return {node: binary('Comparison', op.startsWith('!') ? '<>' : '=')(...nodes), kind: 'boolean'}
+      }
+      case '<': case '<=': case '>': case '>=':
+        if (operands.length === 2) return {node: binary('Comparison', op)(...nodes), kind: 'boolean'}
+        if (operands.length !== 3 || op.startsWith('>')) fail('`' + op + '` requires two operands, or three to test whether a value is between two others')
+        return {node: binary('Logical', '&')(binary('Comparison', op)(nodes[0], nodes[1]), binary('Comparison', op)(nodes[1], nodes[2])), kind: 'boolean'}
+      case 'in':
+        if (operands.length !== 2) fail('`in` requires two operands')
+        if (inclusionDiffers(...operands)) differ('`in` compares array elements by identity in JsonLogic, but by value in Conscript')
+        return {node: binary('Comparison', 'in')(...nodes), kind: 'boolean'}
+      case 'if': case '?:': {
+        if (!operands.length) return {node: literal(null), ...constant(null)}
+        let result = operands.length % 2 ? operands[operands.length - 1] : constant(null)
+        let node = operands.length % 2 ? result.node : literal(null)
+        for (let i = operands.length - (operands.length % 2 ? 3 : 2); i >= 0; i -= 2) {
+          truthy(operands[i], op)
+          node = {type: 'Ternary', test: nodes[i], consequent: nodes[i + 1], alternate: node}
+          result = {kind: operands[i + 1].kind === result.kind ? result.kind : 'any'}
+        }
+        return {node, kind: result.kind}
+      }
+      case 'cat':
+        if (!operands.every(x => x.kind === 'string')) differ('`cat` converts its operands to strings in JsonLogic, but Conscript’s `+` doesn’t')
+        return {node: chain('Math', '+', [literal(''), ...nodes].slice(operands.length ? 1 : 0)), kind: 'string'}
+      case '+': case '-': case '*': case '/': case '%':
+        return {node: math(op, operands), kind: 'number'}
+    }
+    return fail('Cannot convert the JsonLogic operator `' + op + '`')
+  }
+
+  return {script: stringify(convert(logic, []).node), differences: list}
+}
+
+// Converts a script into a JsonLogic rule. Within a callback of `map`, `some`,
+// `every`, or `filter`, JsonLogic can only read the array element, so the
+// callback can only use its parameter.
+function toJsonLogic (ast, {methods, strict = false, unknownsAre} = {}, source) {
+  const registry = methodRegistry(methods)
+  const location = ({start, end}) => ({source, start, end})
+  const {list, differ} = differences(strict, location)
+  const fail = (message, node) => { throw new ConscriptTranslationError(message, location(node)) }
+
+  // Returns the JsonLogic `var` path of a variable, or null if the node isn't one
+  function path (node, param) {
+    switch (node.type) {
+      case 'Group': return path(node.expression, param)
+      case 'Identifier': case 'Variable': {
+        if (node.computed) return null
+        if (param) {
+          if (node.name !== param) fail('JsonLogic callbacks can only use their parameter', node)
+          return ''
+        }
+        return node.name
+      }
+      case 'Member': {
+        const base = path(node.object, param)
+        if (base === null) return null
+        let property = node.property
+        if (node.computed) {
+          if (node.property.type !== 'String' && node.property.type !== 'Number') return null
+          property = String(node.property.value)
+        }
+        // JsonLogic can only read fields, so it can't get the `count` of an array
+        const types = builtInTypes(registry, property)
+        if (types.length) differ('`' + property + '` is a Conscript property of ' + enumerate(types.map(type => type + 's')) + ', but JsonLogic reads it as a field', node)
+        return base === '' ? property : base + '.' + property
+      }
+    }
+    return null
+  }
+
+  function flatten (node, type, operator) {
+    if (node.type === 'Group') return flatten(node.expression, type, operator)
+    if (node.type === type && node.operator === operator) return [...flatten(node.left, type, operator), ...flatten(node.right, type, operator)]
+    return [node]
+  }
+
+  function truthy (x, op, node) {
+    if (truthinessDiffers(x)) differ('`' + op + '` treats empty arrays as true in Conscript, but they are false in JsonLogic', node)
+    return x.logic
+  }
+
+  function callback (node, param) {
+    const {callee} = node
+    if (callee.type !== 'Member' || callee.computed || !(callee.property in arrayMethods)) return null
+    const [fn] = node.arguments
+    if (node.arguments.length !== 1 || fn.type !== 'Function' || fn.params.length !== 1) fail('JsonLogic only supports callbacks with one parameter', node)
+    const op = arrayMethods[callee.property]
+    const array = convert(callee.object, param)
+    const body = convert(fn.body, fn.params[0])
+    if (op !== 'map') truthy(body, op, fn.body)
+    if (op === 'all') differ('`every` is true for an empty array in Conscript, but `all` is false in JsonLogic', node)
+    return {logic: {[op]: [array.logic, body.logic]}, kind: op === 'map' || op === 'filter' ? 'array' : 'boolean'}
+  }
+
+  function comparison (node, param) {
+    const [a, b] = [convert(node.left, param), convert(node.right, param)]
+    switch (node.operator) {
+      case '=':
+        if (strictEqualityDiffers(a, b)) differ('`=` compares arrays and objects by value in Conscript, and treats 0 and -0 as unequal, unlike `===` in JsonLogic', node)
+        return {'===': [a.logic, b.logic]}
+      case '<>': return {'!==': [a.logic, b.logic]}
+      case 'is': case 'is not': case '!is':
+        if (node.right.type !== 'Null') break
+        return {[node.operator === 'is' ? '===' : '!==']: [a.logic, null]}
+      case 'in': case 'not in': case '!in': {
+        if (inclusionDiffers(a, b)) differ('`in` compares array elements by value in Conscript, but by identity in JsonLogic', node)
+        const logic = {in: [a.logic, b.logic]}
+        return node.operator === 'in' ? logic : {'!': logic}
+      }
+    }
+    if (orderings.includes(node.operator)) return {[node.operator]: [a.logic, b.logic]}
+    return fail('JsonLogic has no equivalent of the `' + node.operator + '` operator', node)
+  }
+
+  function math (node, param) {
+    const operands = (node.operator === '+' || node.operator === '*' ? flatten(node, 'Math', node.operator) : [node.left, node.right]).map(n => convert(n, param))
+    const logic = operands.map(x => x.logic)
+    const numbers = allNumbers(operands)
+    switch (node.operator) {
+      case '+':
+        if (numbers) return {logic: {'+': logic}, kind: 'number'}
+        if (operands.every(x => x.kind === 'string')) return {logic: {cat: logic}, kind: 'string'}
+        differ('`+` adds strings, arrays, and dates together in Conscript, but converts its operands to numbers in JsonLogic', node)
+        return {logic: {'+': logic}, kind: 'number'}
+      case '-': case '*':
+        if (!numbers) differ('`' + node.operator + '` has a different meaning for values other than numbers in Conscript than in JsonLogic', node)
+        return {logic: {[node.operator]: logic}, kind: 'number'}
+      case '/': case '%':
+        if (!numbers || !nonzeroConstant(operands[1])) differ('`' + node.operator + '` by zero produces null in Conscript, but a number in JsonLogic', node)
+        return {logic: {[node.operator]: logic}, kind: 'number'}
+    }
+    return fail('JsonLogic has no equivalent of the `' + node.operator + '` operator', node)
+  }
+
+  function convert (node, param) {
+    switch (node.type) {
+      case 'Group': return convert(node.expression, param)
+      case 'Boolean': case 'String': return {logic: node.value, ...constant(node.value)}
+      case 'Null': return {logic: null, ...constant(null)}
+      case 'Number': {
+        const value = typeof node.value === 'string' ? Number(node.value) : node.value
+        if (!isFinite(value)) fail('JsonLogic has no equivalent of `' + node.value + '`', node)
+        return {logic: value, ...constant(value)}
+      }
+      case 'Array': {
+        const elements = node.elements.map(element => convert(element, param))
+        const value = elements.every(x => x.constant) ? elements.map(x => x.value) : undefined
+        return {logic: elements.map(x => x.logic), kind: 'array', constant: !!value, value}
+      }
+      case 'Logical': {
+        if (node.operator !== '&' && node.operator !== '|') break
+        const op = node.operator === '&' ? 'and' : 'or'
+        const operands = flatten(node, 'Logical', node.operator).map(n => ({node: n, ...convert(n, param)}))
+        return {logic: {[op]: operands.map(x => truthy(x, op, x.node))}, kind: operands.every(x => x.kind === 'boolean') ? 'boolean' : 'any'}
+      }
+      case 'Not': {
+        const argument = node.argument.type === 'Group' ? node.argument.expression : node.argument
+        if (argument.type === 'Not') return {logic: {'!!': truthy(convert(argument.argument, param), '!!', argument.argument)}, kind: 'boolean'}
+        return {logic: {'!': truthy(convert(argument, param), '!', argument)}, kind: 'boolean'}
+      }
+      case 'Comparison': return {logic: comparison(node, param), kind: 'boolean'}
+      case 'Math': return math(node, param)
+      case 'Ternary': {
+        const test = convert(node.test, param)
+        const [a, b] = [convert(node.consequent, param), convert(node.alternate, param)]
+        const alternate = node.alternate.type === 'Ternary' ? b.logic.if : [b.logic]
+        return {logic: {if: [truthy(test, 'if', node.test), a.logic, ...alternate]}, kind: a.kind === b.kind ? a.kind : 'any'}
+      }
+      case 'Coalesce': {
+        const p = path(node.left, param)
+        const fallback = convert(node.right, param)
+        if (p === null || !fallback.constant) break
+        return {logic: {var: [p, fallback.logic]}, kind: 'any'}
+      }
+      case 'Call': {
+        const result = callback(node, param)
+        if (result) return result
+        break
+      }
+      case 'Identifier': case 'Member': case 'Variable': {
+        // A bare identifier that isn't a variable is a string, unless `unknownsAre` says otherwise
+        if (node.type === 'Identifier' && !param && !['null', null, 'errors', 'err'].includes(unknownsAre)) {
+          differ('Unknown identifiers are strings in Conscript, but null in JsonLogic. Use `$' + node.name + '` instead', node)
+        }
+        const p = path(node, param)
+        if (p !== null) return {logic: {var: p}, kind: 'any'}
+        break
+      }
+    }
+    return fail('Cannot convert `' + (typeof source === 'string' ? source.slice(node.start, node.end) : stringify(node)) + '` to JsonLogic', node)
+  }
+
+  return {logic: convert(ast, null).logic, differences: list}
+}
+
+module.exports = {fromJsonLogic, toJsonLogic}
@@ -0,0 +1,79 @@
+'use strict'
+
+const dependencies = require('./dependencies')
+const {ConscriptSyntaxError} = require('./errors')
+const parse = require('./parse')
+
+const plainName = /^[a-zA-Z0-9_]+$/
+
+// Returns a set of named functions written in Conscript, which scripts
+// compiled with it can call by name. Each entry holds a function's syntax tree,
+// the source it came from (for error locations), and the library in which the
+// names it uses are looked up. Names which a library doesn't define are looked
+// up in its `parent`, if any. Recursion is ruled out when functions are
+// defined: a definition is rejected if it would make the references between
+// library entries circular.
+module.exports = function library (parseOptions, parent) {
+  let entries = new Map()
+  const scope = {
+    add,
+    define,
+    entry,
+    get: name => entries.has(name) ? entries.get(name) : parent ? parent.get(name) : undefined,
+  }
+
+  // Module rules are expressions, which are evaluated when they're referred
+  // to, rather than functions which are called
+  function entry (name, node, source, start = node.start, end = node.end, rule = false) {
+    const location = {source, start, end}
+    const kind = rule ? 'Rules' : 'Library functions'
+    if (!plainName.test(name)) throw new ConscriptSyntaxError('Invalid ' + (rule ? 'rule' : 'function') + ' name `' + name + '`', location)
+    if (!rule && node.type !== 'Function') throw new ConscriptSyntaxError('`' + name + '` must be defined as a function literal, such as `(x){x * 2}`', location)
+    const {variables, identifiers, dynamic} = dependencies(node)
+    if (dynamic) throw new ConscriptSyntaxError(kind + ' must refer to variables by name, so that `' + name + '` can be checked for recursion', location)
+    return {name, node, source, location, rule, scope, references: new Set([...variables, ...identifiers])}
+  }
+
+  function checkCycles (pending, names) {
+    const find = (name, from) => from === scope && pending.has(name) ? pending.get(name) : from.get(name)
+    const done = new Set()
+    const visit = (e, path) => {
+      if (done.has(e)) return
+      const i = path.indexOf(e)
+      if (i >= 0) {
+        const cycle = [...path.slice(i), e].map(({name}) => '`' + name + '`').join(' → ')
+        const what = e.rule ? (i === path.length - 1 ? 'Rule refers to itself: ' : 'Rules refer to each other in a cycle: ') : (i === path.length - 1 ? 'Recursive function: ' : 'Functions call each other in a cycle: ')
+        throw new ConscriptSyntaxError(what + cycle, e.location)
+      }
+      for (const reference of e.references) {
+        const target = find(reference, e.scope)
+        if (target) visit(target, [...path, e])
+      }
+      done.add(e)
+    }
+    for (const name of names) visit(pending.get(name), [])
+  }
+
+  // Adds a batch of entries at once, so that they can refer to each other.
+  // Entries from other libraries (e.g. imported rules) keep their own scope.
+  function add (added) {
+    const pending = new Map(entries)
+    for (const e of added) pending.set(e.name, e)
+    checkCycles(pending, added.map(e => e.name))
+    entries = pending
+  }
+
+  // Accepts either a name and a function literal (as a script or syntax tree),
+  // or a prelude script of `def` statements
+  function define (name, conscription) {
+    if (typeof conscription === 'undefined') {
+      add(parse.definitions(name, parseOptions).map(def => entry(def.name, def.node, name, def.start, def.end)))
+    } else if (typeof conscription === 'string') {
+      add([entry(name, parse(conscription, parseOptions), conscription)])
+    } else {
+      add([entry(name, conscription)])
+    }
+  }
+
+  return scope
+}
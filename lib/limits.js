@@ -0,0 +1,50 @@
+'use strict'
+
+const isNonArrayObject = require('isobject')
+const {ConscriptLimitError} = require('./errors')
+
+const u = x => typeof x === 'undefined'
+
+// Returns the checks used to enforce the execution limit options. Evaluation
+// state is created once per evaluation and shared by all of its steps.
+module.exports = function limits ({maxCollectionSize, maxDepth, maxSteps, maxStringLength, timeoutMs} = {}) {
+  const enabled = [maxCollectionSize, maxDepth, maxSteps, maxStringLength, timeoutMs].some(limit => !u(limit))
+
+  function createState () {
+    return {steps: 0, depth: 0, deadline: u(timeoutMs) ? null : Date.now() + timeoutMs}
+  }
+
+  function step (state, location) {
+    if (++state.steps > maxSteps) throw new ConscriptLimitError('Script exceeded the limit of ' + maxSteps + ' steps', 'maxSteps', location)
+    checkTime(state, location)
+  }
+
+  // Called on every step, and in async mode after every awaited value
+  function checkTime (state, location) {
+    if (state.deadline && Date.now() > state.deadline) {
+      throw new ConscriptLimitError('Script exceeded the time limit of ' + timeoutMs + 'ms', 'timeoutMs', location)
+    }
+  }
+
+  function checkSize (result, location) {
+    if (typeof result === 'string') {
+      if (result.length > maxStringLength) throw new ConscriptLimitError('String exceeded the limit of ' + maxStringLength + ' characters', 'maxStringLength', location)
+    } else if (Array.isArray(result) || isNonArrayObject(result)) {
+      const size = Array.isArray(result) ? result.length : Object.keys(result).length
+      if (size > maxCollectionSize) throw new ConscriptLimitError('Collection exceeded the limit of ' + maxCollectionSize + ' items', 'maxCollectionSize', location)
+    }
+  }
+
+  function enter (state, location) {
+    if (++state.depth > maxDepth) {
+      state.depth--
+      throw new ConscriptLimitError('Script exceeded the limit of ' + maxDepth + ' nested function calls', 'maxDepth', location)
+    }
+  }
+
+  function exit (state) {
+    state.depth--
+  }
+
+  return {checkSize, checkTime, createState, enabled, enter, exit, step}
+}
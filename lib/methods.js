@@ -0,0 +1,179 @@
+'use strict'
+
+const toNumber = require('2/number')
+const {Duration} = require('./dates')
+const equals = require('./equals')
+
+const types = ['array', 'date', 'duration', 'number', 'object', 'string']
+const compare = (a, b) => (a > b) - (a < b)
+const numbers = x => Array.from(x).map(n => toNumber(n))
+
+// Each property is a function which receives the value and returns the
+// property value. Methods are properties whose values are functions.
+const standard = {
+  array: {
+    avg: x => x.length ? numbers(x).reduce((a, b) => a + b, 0) / x.length : null,
+    count: x => x.length,
+    empty: x => x.length === 0,
+    every: x => cb => Array.from(x).every(cb),
+    filter: x => cb => Array.from(x).filter(cb),
+    find: x => cb => Array.from(x).find(cb),
+    first: x => x[0],
+    join: x => (separator = ',') => Array.from(x).join(separator),
+    last: x => x[x.length - 1],
+    length: x => x.length,
+    map: x => cb => Array.from(x).map(cb),
+    max: x => x.length ? Math.max(...numbers(x)) : null,
+    min: x => x.length ? Math.min(...numbers(x)) : null,
+    multiple: x => x.length > 1,
+    pop: x => (num, handler) => {
+      num = Math.abs(toNumber(num))
+      const arr = Array.from(x)
+      if (typeof handler !== 'function') return arr.slice(arr.length - num)
+      return handler(arr.slice(0, arr.length - num), ...arr.slice(arr.length - num))
+    },
+    reduce: x => (cb, ...initial) => Array.from(x).reduce(cb, ...initial.slice(0, 1)),
+    shift: x => (num, handler) => {
+      num = Math.abs(toNumber(num))
+      const arr = Array.from(x)
+      if (typeof handler !== 'function') return arr.slice(0, num)
+      return handler(...arr.slice(0, num), arr.slice(num, arr.length))
+    },
+    slice: x => (start, stop) => x.slice(start, stop),
+    some: x => cb => Array.from(x).some(cb),
+    sort: x => cb => Array.from(x).sort(typeof cb === 'function' ? (a, b) => toNumber(cb(a, b)) : compare),
+    sum: x => numbers(x).reduce((a, b) => a + b, 0),
+    unique: x => Array.from(x).filter((item, i, arr) => arr.findIndex(other => equals(item, other)) === i),
+  },
+  date: {
+    day: x => x.getUTCDate(),
+    hour: x => x.getUTCHours(),
+    millisecond: x => x.getUTCMilliseconds(),
+    minute: x => x.getUTCMinutes(),
+    month: x => x.getUTCMonth() + 1,
+    second: x => x.getUTCSeconds(),
+    time: x => x.getTime(),
+    weekday: x => x.getUTCDay() || 7,
+    year: x => x.getUTCFullYear(),
+  },
+  duration: {
+    days: x => x / 86400000,
+    hours: x => x / 3600000,
+    milliseconds: x => Number(x),
+    minutes: x => x / 60000,
+    seconds: x => x / 1000,
+  },
+  number: {
+    round: x => (places = 0) => {
+      const factor = 10 ** toNumber(places)
+      return Math.round(x * factor) / factor
+    },
+  },
+  object: {
+    entries: x => Object.entries(x),
+    keys: x => Object.keys(x),
+    values: x => Object.values(x),
+  },
+  string: {
+    lower: x => x.toLowerCase(),
+    split: x => (separator = '') => x.split(separator),
+    trim: x => x.trim(),
+    upper: x => x.toUpperCase(),
+  },
+}
+
+// In async mode, callbacks may return promises, so the methods which use
+// their return values wait for them. Callbacks are called one at a time.
+const standardAsync = {
+  ...standard,
+  array: {
+    ...standard.array,
+    every: x => async cb => {
+      const arr = Array.from(x)
+      for (const [i, item] of arr.entries()) if (!await cb(item, i, arr)) return false
+      return true
+    },
+    filter: x => async cb => {
+      const arr = Array.from(x)
+      const keep = []
+      for (const [i, item] of arr.entries()) keep.push(await cb(item, i, arr))
+      return arr.filter((item, i) => keep[i])
+    },
+    find: x => async cb => {
+      const arr = Array.from(x)
+      for (const [i, item] of arr.entries()) if (await cb(item, i, arr)) return item
+      return null
+    },
+    map: x => async cb => {
+      const arr = Array.from(x)
+      const results = []
+      for (const [i, item] of arr.entries()) results.push(await cb(item, i, arr))
+      return results
+    },
+    reduce: x => async (cb, ...initial) => {
+      const arr = Array.from(x)
+      const start = initial.length ? 0 : 1
+      let acc = initial.length ? initial[0] : arr[0]
+      for (let i = start; i < arr.length; i++) acc = await cb(acc, arr[i], i, arr)
+      return acc
+    },
+    some: x => async cb => {
+      const arr = Array.from(x)
+      for (const [i, item] of arr.entries()) if (await cb(item, i, arr)) return true
+      return false
+    },
+    sort: x => async cb => {
+      if (typeof cb !== 'function') return Array.from(x).sort(compare)
+      return mergeSort(Array.from(x), async (a, b) => toNumber(await cb(a, b)))
+    },
+  },
+}
+
+async function mergeSort (arr, cmp) {
+  if (arr.length < 2) return arr
+  const middle = Math.floor(arr.length / 2)
+  const left = await mergeSort(arr.slice(0, middle), cmp)
+  const right = await mergeSort(arr.slice(middle), cmp)
+  const result = []
+  while (left.length && right.length) result.push(await cmp(left[0], right[0]) > 0 ? right.shift() : left.shift())
+  return result.concat(left, right)
+}
+
+const registries = new WeakMap()
+
+// Merges the `methods` option into the standard properties and methods.
+function methodRegistry (methods, async = false) {
+  const base = async ? standardAsync : standard
+  if (!methods) return base
+  if (!registries.has(methods)) registries.set(methods, {})
+  const cache = registries.get(methods)
+  if (cache[async]) return cache[async]
+
+  const registry = {}
+  for (const type of Object.keys(methods)) {
+    if (!types.includes(type)) throw new TypeError('Cannot add methods to unrecognized type `' + type + '`')
+  }
+  for (const type of types) registry[type] = {...base[type], ...methods[type]}
+  cache[async] = registry
+  return registry
+}
+
+// Returns the function which produces the property's value, if the property
+// is registered for the type of `x`. Strings also have the array properties.
+function findMethod (registry, x, prop) {
+  let sources = []
+  if (Array.isArray(x)) sources = [registry.array]
+  else if (typeof x === 'string') sources = [registry.string, registry.array]
+  else if (typeof x === 'number') sources = [registry.number]
+  else if (x instanceof Date) sources = [registry.date]
+  else if (x instanceof Duration) sources = [registry.duration]
+  else if (x !== null && typeof x === 'object') sources = [registry.object]
+  const source = sources.find(s => Object.prototype.hasOwnProperty.call(s, prop))
+  return source ? source[prop] : null
+}
+
+// The standard object methods (e.g. `keys`) are given a copy of the object
+// with only the properties that scripts can read
+const isStandardObjectMethod = method => Object.values(standard.object).includes(method)
+
+module.exports = {findMethod, isStandardObjectMethod, methodRegistry}
@@ -0,0 +1,62 @@
+'use strict'
+
+const {ConscriptSyntaxError} = require('./errors')
+const library = require('./library')
+const parse = require('./parse')
+
+// Parses a module, along with the modules it imports, which are loaded by
+// passing their paths to the `load` option. Returns the rules which the module
+// defines, and a library in which they can refer to each other and to the
+// names they import. Names which the module doesn't define are looked up in
+// `parent`. Each imported module is only loaded once.
+module.exports = function linkModule (source, options, parent) {
+  const {load} = options
+  const modules = new Map()
+  const loading = []
+
+  function importModule (path, location) {
+    if (typeof load !== 'function') throw new ConscriptSyntaxError('Modules can only be imported if the `load` option is set', location)
+    const i = loading.indexOf(path)
+    if (i >= 0) throw new ConscriptSyntaxError('Modules import each other in a cycle: ' + [...loading.slice(i), path].map(p => '`' + p + '`').join(' → '), location)
+    if (!modules.has(path)) {
+      const moduleSource = load(path)
+      if (typeof moduleSource !== 'string') throw new TypeError('The `load` option must return the source of module `' + path + '` as a string')
+      loading.push(path)
+      modules.set(path, link(moduleSource).rules)
+      loading.pop()
+    }
+    return modules.get(path)
+  }
+
+  function link (source) {
+    const {imports, rules: statements} = parse.module(source, options)
+    const scope = library(options, parent)
+    const entries = new Map()
+    const rules = new Map()
+
+    const add = (e, location = e.location) => {
+      if (entries.get(e.name) === e) return
+      if (entries.has(e.name)) throw new ConscriptSyntaxError('`' + e.name + '` is defined more than once', location)
+      entries.set(e.name, e)
+    }
+
+    for (const {names, path, start, end} of imports) {
+      const location = {source, start, end}
+      const imported = importModule(path, location)
+      for (const name of names || imported.keys()) {
+        if (!imported.has(name)) throw new ConscriptSyntaxError('Module `' + path + '` has no rule `' + name + '`', location)
+        add(imported.get(name), location)
+      }
+    }
+    for (const {name, node, start, end} of statements) {
+      const rule = scope.entry(name, node, source, start, end, true)
+      add(rule)
+      rules.set(name, rule)
+    }
+
+    scope.add([...entries.values()])
+    return {rules, scope}
+  }
+
+  return link(source)
+}
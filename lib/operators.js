@@ -0,0 +1,80 @@
+'use strict'
+
+const boolOps = ['&', '|']
+const absCompOps = ['<', '<=', '=', '>=', '>', '<>', '~=', '^=', '^~=', '$=', '$~=', '*=', '*~=']
+const setOps = ['any in', 'any ~in', 'all in', 'all ~in', 'intersects', '~intersects', 'subset of', '~subset of', 'superset of', '~superset of']
+const compOps = [
+  ' is ', ' is not ', ' !is ', ' in ', ' ~in ', ' not in ', ' !in ', ' !~in ', ' not ~in ', ' matches ', ' !matches ',
+  ' like ', ' ~like ', ' glob ', ' !like ', ' !~like ', ' !glob ',
+  ...setOps.map(s => ' ' + s + ' '), ...setOps.map(s => ' !' + s + ' '),
+  ...absCompOps, ...absCompOps.map(s => '!' + s),
+]
+const mathOps = ['+', ' before ', ' then ', ' union ', ' intersect ', '-', '*', '/', '%', '^']
+
+const builtIn = new Set([...boolOps, ...compOps, '??', ...mathOps].map(op => op.trim()))
+const levels = ['boolean', 'comparison', 'math']
+const safeValues = {boolean: false, comparison: false, math: 0}
+const wordOperator = /^[a-z]+( [a-z]+)*$/i
+// The ternary operator's symbols, which are looked for before any other operator
+const ternary = ['?', ':']
+
+const defaultTables = {boolean: boolOps, comparison: compOps, math: mathOps}
+
+const normalized = new WeakMap()
+const tables = new WeakMap()
+
+// Validates the `operators` option and returns a Map of operator names to
+// their definitions.
+function customOperators (operators) {
+  if (!operators) return new Map()
+  if (normalized.has(operators)) return normalized.get(operators)
+
+  const map = new Map()
+  for (const [name, {level, evaluate, negatable = level === 'comparison', ...rest}] of Object.entries(operators)) {
+    const op = name.trim()
+    if (!op || op.startsWith('!')) throw new TypeError('Invalid operator name `' + name + '`')
+    if (builtIn.has(op)) throw new TypeError('The `' + op + '` operator is already defined')
+    if (!levels.includes(level)) throw new TypeError('The `' + op + '` operator must have a level of `boolean`, `comparison`, or `math`')
+    if (typeof evaluate !== 'function') throw new TypeError('The `' + op + '` operator must have an `evaluate` function')
+    if (negatable && level !== 'comparison') throw new TypeError('Only comparison operators can be negated')
+    const safeValue = 'safeValue' in rest ? rest.safeValue : safeValues[level]
+    map.set(op, {level, evaluate, negatable, safeValue, word: wordOperator.test(op)})
+  }
+  checkOverlaps(map)
+  normalized.set(operators, map)
+  return map
+}
+
+// Word operators are surrounded by spaces, so that they only match whole words
+const spellings = (op, {negatable, word}) => (negatable ? [op, '!' + op] : [op]).map(s => word ? ' ' + s + ' ' : s)
+
+// Scripts are split at the operators with the lowest precedence first, so an
+// operator which contains one with a lower precedence (e.g. `<=>` in the math
+// level contains `<=`) would be split apart before it could be found
+function checkOverlaps (map) {
+  const earlier = [...ternary]
+  for (const level of levels) {
+    const custom = [...map].filter(([, def]) => def.level === level)
+    for (const [op, def] of custom) {
+      for (const spelling of spellings(op, def)) {
+        const part = earlier.find(e => spelling.includes(e))
+        if (part) throw new TypeError('The `' + op + '` operator can’t contain `' + part.trim() + '`, which is an operator with a lower precedence')
+      }
+    }
+    earlier.push(...defaultTables[level], ...[].concat(...custom.map(([op, def]) => spellings(op, def))))
+  }
+}
+
+// Returns the lists of operator spellings that the parser looks for at each
+// precedence level.
+function operatorTables (operators) {
+  if (!operators) return defaultTables
+  if (tables.has(operators)) return tables.get(operators)
+
+  const t = {boolean: [...boolOps], comparison: [...compOps], math: [...mathOps]}
+  for (const [op, def] of customOperators(operators)) t[def.level].push(...spellings(op, def))
+  tables.set(operators, t)
+  return t
+}
+
+module.exports = {customOperators, operatorTables}
@@ -0,0 +1,254 @@
+'use strict'
+
+const isNonArrayObject = require('isobject')
+const compile = require('./compile')
+const {Duration} = require('./dates')
+const toLiteral = require('./to-literal')
+
+const u = x => typeof x === 'undefined'
+const failed = Symbol('failed')
+const notConstant = Symbol('notConstant')
+const branching = ['Let', 'Logical', 'Ternary']
+const relativeDates = ['now', 'today']
+
+function throwNotConstant () {
+  throw notConstant
+}
+
+function isLiteral (node) {
+  switch (node.type) {
+    case 'Boolean': case 'Duration': case 'Null': case 'Number': case 'Regex': case 'String': return true
+    case 'Date': return !relativeDates.includes(node.value)
+    case 'Array': return node.elements.every(isLiteral)
+  }
+  return false
+}
+
+// Nodes which certainly don't evaluate to `undefined`, and so can replace a
+// ternary expression without changing its result.
+function defined (node) {
+  switch (node.type) {
+    case 'Array': case 'Boolean': case 'Call': case 'Comparison': case 'Date': case 'Duration': case 'Function':
+    case 'Identifier': case 'Not': case 'Null': case 'Number': case 'Regex': case 'String': case 'Variable':
+      return true
+  }
+  return false
+}
+
+const isBuiltIn = value => value instanceof Date || value instanceof Duration || value instanceof RegExp
+
+// Instances of other classes, and getters, may run code provided by the host,
+// so variables which contain them aren't constant
+function hasHostCode (value, seen = new Set()) {
+  if (value === null || typeof value !== 'object' || isBuiltIn(value) || seen.has(value)) return false
+  seen.add(value)
+  if (Array.isArray(value)) return value.some(item => hasHostCode(item, seen))
+  if (value instanceof Map) return Array.from(value.values()).some(item => hasHostCode(item, seen))
+  const proto = Object.getPrototypeOf(value)
+  if (proto !== Object.prototype && proto !== null) return true
+  return Object.keys(value).some(key => {
+    const descriptor = Object.getOwnPropertyDescriptor(value, key)
+    return !('value' in descriptor) || hasHostCode(descriptor.value, seen)
+  })
+}
+
+// Replaces any functions within variable values, so that functions provided by
+// the host are never called while optimizing
+function guard (value, seen = new Map()) {
+  if (typeof value === 'function') return throwNotConstant
+  if (isBuiltIn(value) || (!Array.isArray(value) && !isNonArrayObject(value) && !(value instanceof Map))) return value
+  if (seen.has(value)) return seen.get(value)
+  if (Array.isArray(value)) {
+    const arr = []
+    seen.set(value, arr)
+    for (const item of value) arr.push(guard(item, seen))
+    return arr
+  }
+  if (value instanceof Map) {
+    const map = new Map()
+    seen.set(value, map)
+    for (const [k, v] of value) map.set(k, guard(v, seen))
+    return map
+  }
+  const obj = {}
+  seen.set(value, obj)
+  for (const key of Object.keys(value)) obj[key] = guard(value[key], seen)
+  return obj
+}
+
+function guardMethods (methods) {
+  if (!methods) return methods
+  const guarded = {}
+  for (const [type, props] of Object.entries(methods)) {
+    guarded[type] = {}
+    for (const prop of Object.keys(props)) guarded[type][prop] = throwNotConstant
+  }
+  return guarded
+}
+
+function guardOperators (operators) {
+  if (!operators) return operators
+  const guarded = {}
+  for (const [name, def] of Object.entries(operators)) guarded[name] = {...def, evaluate: throwNotConstant}
+  return guarded
+}
+
+// Simplifies a syntax tree by evaluating the parts of it which don't depend on
+// unknown variables, `debug`, the current time, or functions provided by the
+// host. Variables in `options.vars` are treated as known.
+//
+// The compiler compares the results of expressions to `defaultLeft` depending
+// on where they appear, so every node is visited in one of three modes:
+// `expression` (compared), `ternary` (within a ternary, not compared), and
+// `value` (an operand, not compared).
+module.exports = function optimize (ast, options = {}) {
+  const {vars, defaultLeft, methods, operators, safe, safeCall, safeNav, safeOp, unknownsAre} = options
+  const compileOptions = {
+    debugOutput: throwNotConstant,
+    maxSteps: 10000,
+    methods: guardMethods(methods),
+    operators: guardOperators(operators),
+    safe,
+    safeCall,
+    safeNav,
+    safeOp,
+    unknownsAre,
+  }
+  const seen = new Map()
+  const known = name => vars instanceof Map ? vars.has(name) : isNonArrayObject(vars) && Object.prototype.hasOwnProperty.call(vars, name)
+  const getVar = name => {
+    if (!known(name)) throw notConstant
+    const value = vars instanceof Map ? vars.get(name) : vars[name]
+    if (hasHostCode(value)) throw notConstant
+    return guard(value, seen)
+  }
+
+  // Whether the node could be evaluated ahead of time. Names in `outer` are
+  // parameters of enclosing functions.
+  function closed (node, outer) {
+    switch (node.type) {
+      case 'Debug': case 'DefaultLeft': return false
+      case 'Date': return !relativeDates.includes(node.value)
+      case 'Identifier': return !outer.has(node.name)
+      case 'Variable': {
+        if (!node.computed) return node.name !== '' && !outer.has(node.name)
+        const {type, value} = node.name
+        return (type === 'String' || type === 'Number') && value !== '' && !outer.has(String(value))
+      }
+      case 'Function': {
+        const inner = new Set(outer)
+        for (const param of node.params) inner.delete(param)
+        return closed(node.body, inner)
+      }
+      case 'Let': {
+        const inner = new Set(outer)
+        inner.delete(node.name)
+        return closed(node.value, outer) && closed(node.body, inner)
+      }
+    }
+    return children(node).every(child => closed(child, outer))
+  }
+
+  function children (node) {
+    switch (node.type) {
+      case 'Ternary': return [node.test, node.consequent, node.alternate]
+      case 'Logical': case 'Comparison': case 'Coalesce': case 'Math': return [node.left, node.right]
+      case 'Group': return [node.expression]
+      case 'Let': return [node.value, node.body]
+      case 'Not': case 'Debug': return [node.argument]
+      case 'Member': return node.computed ? [node.object, node.property] : [node.object]
+      case 'Call': return [node.callee, ...node.arguments]
+      case 'Array': return node.elements
+    }
+    return []
+  }
+
+  // Evaluates a node as it would be evaluated in the given mode
+  function evaluate (node, mode) {
+    const wrapped = mode === 'ternary' || (mode === 'value' && !branching.includes(node.type))
+    const tree = wrapped ? {type: 'Ternary', test: {type: 'Boolean', value: false}, consequent: {type: 'Null'}, alternate: node} : node
+    try {
+      return compile(tree, compileOptions)(getVar, u(defaultLeft) ? {} : {defaultLeft})
+    } catch (e) {
+      return failed
+    }
+  }
+
+  function fold (node, mode) {
+    const value = evaluate(node, mode)
+    if (value === failed || u(value)) return null
+    if (mode !== 'expression' || u(defaultLeft) || typeof value === 'boolean') return toLiteral(value, defaultLeft)
+    // The literal will be compared to defaultLeft in place of the node
+    if (branching.includes(node.type)) return null
+    const raw = evaluate(node, 'value')
+    return raw === failed || u(raw) ? null : toLiteral(raw, defaultLeft)
+  }
+
+  // Whether a node can be moved from a position evaluated in one mode to a
+  // position evaluated in another without changing its result.
+  const movable = (from, to) => u(defaultLeft) || from === to
+
+  function visit (node, mode, outer) {
+    if (node.type === 'Debug') return node
+    node = visitChildren(node, mode, outer)
+    if (!isLiteral(node) && closed(node, outer)) {
+      const result = fold(node, mode)
+      if (result) return {...result, start: node.start, end: node.end}
+    }
+    return simplify(node, mode, outer)
+  }
+
+  function visitChildren (node, mode, outer) {
+    const operandMode = mode === 'ternary' ? 'ternary' : 'expression'
+    switch (node.type) {
+      case 'Ternary':
+        return {...node, test: visit(node.test, 'ternary', outer), consequent: visit(node.consequent, 'ternary', outer), alternate: visit(node.alternate, 'ternary', outer)}
+      case 'Logical': return {...node, left: visit(node.left, operandMode, outer), right: visit(node.right, operandMode, outer)}
+      case 'Comparison': case 'Coalesce': case 'Math': return {...node, left: visit(node.left, 'value', outer), right: visit(node.right, 'value', outer)}
+      case 'Group': return {...node, expression: visit(node.expression, 'expression', outer)}
+      case 'Not': return {...node, argument: visit(node.argument, 'value', outer)}
+      case 'Member': {
+        const object = visit(node.object, 'value', outer)
+        return node.computed ? {...node, object, property: visit(node.property, 'expression', outer)} : {...node, object}
+      }
+      case 'Call':
+        return {...node, callee: visit(node.callee, 'value', outer), arguments: node.arguments.map(arg => visit(arg, 'expression', outer))}
+      case 'Variable': return node.computed ? {...node, name: visit(node.name, 'expression', outer)} : node
+      case 'Array': return {...node, elements: node.elements.map(element => visit(element, 'expression', outer))}
+      case 'Function': return {...node, body: visit(node.body, 'expression', new Set([...outer, ...node.params.filter(Boolean)]))}
+      case 'Let': return {...node, value: visit(node.value, 'value', outer), body: visit(node.body, operandMode, new Set([...outer, node.name]))}
+    }
+    return node
+  }
+
+  function simplify (node, mode, outer) {
+    if (node.type === 'Group' && !branching.includes(node.expression.type) && movable('expression', mode)) {
+      return node.expression
+    } else if (node.type === 'Ternary' && closed(node.test, outer)) {
+      // The test falls back to defaultLeft if it is undefined
+      let test = evaluate(node.test, 'ternary')
+      if (test === failed) return node
+      if (u(test) && !u(defaultLeft)) test = defaultLeft
+      if (!movable('ternary', mode)) return node
+      if (!test) return node.alternate
+      if (defined(node.consequent)) return node.consequent
+    } else if (node.type === 'Logical' && (node.operator === '&' || node.operator === '|') && closed(node.left, outer)) {
+      const operandMode = mode === 'ternary' ? 'ternary' : 'expression'
+      const left = evaluate(node.left, operandMode)
+      if (left === failed) return node
+      const shortCircuit = node.operator === '&' ? !left : !!left
+      if (shortCircuit) {
+        const result = toLiteral(left, defaultLeft)
+        return result ? {...result, start: node.start, end: node.end} : node
+      }
+      if (movable(operandMode, mode)) return node.right
+    } else if (node.type === 'Coalesce' && closed(node.left, outer) && movable('value', mode)) {
+      const left = evaluate(node.left, 'value')
+      if (left === failed) return node
+      return (left === null || u(left)) ? node.right : node.left
+    }
+    return node
+  }
+
+  return visit(ast, 'expression', new Set())
+}
@@ -0,0 +1,421 @@
+'use strict'
+
+const {matchDuration, parseDate} = require('./dates')
+const {ConscriptSyntaxError} = require('./errors')
+const {operatorTables} = require('./operators')
+
+const regexDelimiter = '@'
+const dateDelimiter = '#'
+const relativeDates = ['now', 'today']
+
+const identifierName = /[a-zA-Z0-9_ ]/
+const notIdentifierName = /[^a-zA-Z0-9_ ]/g
+const invalidIdentifierName = /[^a-zA-Z0-9_ ]/
+const digits = '0123456789'
+const esc = '\\'
+const ignore = [['(', ')'], ['[', ']'], ['{', '}'], ['"', '"'], ["'", "'"], ['@', '@'], ['#', '#']]
+const number = /^-?\.?[0-9]/
+const letBinding = /^\s*let\s+[a-zA-Z0-9_]+\s*=/
+const whitespace = [' ', '\n', '\r', '\t']
+const inKeyword = [].concat(...whitespace.map(a => whitespace.map(b => a + 'in' + b)))
+
+// parser-factory removes escape characters whenever it skips over quoted text,
+// which happens once for every level of the grammar that the text passes
+// through. So before parsing, escape sequences are replaced with placeholders
+// of the same length, and the controllers which read quoted text restore them.
+// The question marks in `?.` and `??` are hidden in the same way, so that they
+// aren't mistaken for the start of a ternary expression. (A `?.` followed by a
+// digit is a ternary expression whose consequent is a number.)
+const escapable = '"\'@{}'
+const escapeSequence = /\\(["'@{}])/g
+const placeholder = /\uE000([\uE001-\uE005])/g
+const questionMarks = /\?\?|\?\.(?![0-9])/g
+const hiddenQuestionMark = /\uE006/g
+const optionalChain = '\uE006.'
+const coalesce = '\uE006\uE006'
+const hide = (str, source, lineComments) => blankComments(str
+  .replace(escapeSequence, (m, c) => '\uE000' + String.fromCharCode(0xE001 + escapable.indexOf(c))), source, lineComments)
+  .replace(questionMarks, m => m === '??' ? coalesce : optionalChain)
+const reveal = (str, unescaped = '') => str.replace(hiddenQuestionMark, '?').replace(placeholder, (m, p) => {
+  const c = escapable[p.charCodeAt(0) - 0xE001]
+  return unescaped.includes(c) ? c : esc + c
+})
+
+// Strings, regexes, dates, `${...}` names, and `.{...}` (or `?.{...}`)
+// properties are matched so that comment markers inside them are left alone.
+// In modules, a `#` followed by a space at the start of a line also begins a
+// comment.
+const comments = /(\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|"[^"]*"?|'[^']*'?|@[^@]*@?|#[^#\n]*#?|[$.]\{[^}]*\}?/g
+const commentsAndLineComments = new RegExp('((?:^|\\n)[ \\t]*#(?![^ \\t\\r\\n])[^\\n]*)|' + comments.source, 'g')
+
+// Comments are replaced by spaces, so that offsets are kept
+function blankComments (str, source, lineComments) {
+  return str.replace(lineComments ? commentsAndLineComments : comments, (m, ...groups) => {
+    const offset = groups[groups.length - 2]
+    const comment = groups.slice(0, -2).find(Boolean)
+    if (!comment) return m
+    if (comment.startsWith('/*') && (comment.length < 4 || !comment.endsWith('*/'))) {
+      throw new ConscriptSyntaxError('Unterminated comment', {source, start: offset, end: offset + 2})
+    }
+    return comment.replace(/[^\r\n]/g, ' ')
+  })
+}
+
+const defaultLeft = pos => ({type: 'DefaultLeft', start: pos, end: pos})
+const trailingSpace = s => s.length - s.replace(/\s+$/, '').length
+
+// Sub-parsers only see a slice of the script, so each controller is told
+// where its slice ends in order to work out absolute offsets.
+const position = (char, end) => end - char(Infinity).length
+
+function enclosed ({char, sub, throughEnd}, end, next, open, close, options, tempArgs) {
+  const start = position(char, end)
+  const content = throughEnd(open, close, options)
+  return sub(next, content, {...tempArgs, end: start + content.length})
+}
+
+function error (message, {userArgs: [, source]}, start, end) {
+  message = reveal(message)
+  return new ConscriptSyntaxError(message, {source, start, end})
+}
+
+function jsonNumber (n) {
+  if (Object.is(n, -0)) return '-0'
+  if (!Number.isFinite(n)) return String(n)
+  return n
+}
+
+function member (object, property, optional, end) {
+  const node = typeof property === 'string'
+    ? {type: 'Member', object, property, start: object.start, end}
+    : {type: 'Member', object, computed: true, property, start: object.start, end}
+  if (optional) node.optional = true
+  return node
+}
+
+function variable (name, start, end) {
+  if (typeof name === 'string') return {type: 'Variable', name, start, end}
+  return {type: 'Variable', computed: true, name, start, end}
+}
+
+const parserFactory = require('parser-factory')
+
+const rules = {
+  start ({call, char}) {
+    return call('expression', {end: char(Infinity).length})
+  },
+
+  // A prelude is a list of `def name(params){body}` statements, which may be
+  // separated by semicolons
+  definitions ({call, char, consume, consumeWhile}, p) {
+    const end = char(Infinity).length
+    const defs = []
+    for (call('whitespace'); char(); call('whitespace')) {
+      const start = position(char, end)
+      if (!consume(...whitespace.map(w => 'def' + w))) {
+        throw error('Expected a `def` statement', p, start, start + char(Infinity).match(/^\S*/)[0].length)
+      }
+      call('whitespace')
+      const name = consumeWhile(identifierName).trim()
+      if (!name) throw error('Expected a function name after `def`', p, start, position(char, end))
+      const parenStart = position(char, end)
+      const node = consume('(') ? call('parens', {start: parenStart, end}) : null
+      if (!node || node.type !== 'Function') {
+        throw error('Expected a function literal after `def ' + name + '`, such as `def ' + name + '(x){x * 2}`', p, start, position(char, end))
+      }
+      defs.push({name, node, start, end: node.end})
+      call('whitespace')
+      consume(';')
+    }
+    return defs
+  },
+
+  // A module is a list of `import` statements and `name: expression` rules,
+  // separated by semicolons or line breaks. A line which is indented further
+  // than the line on which a statement begins continues the statement.
+  // Comments have already been replaced by spaces.
+  module ({char, consume, consumeWhile, shift, sub, until}, p) {
+    const end = char(Infinity).length
+
+    const statement = start => {
+      const source = p.userArgs[1]
+      const indent = source.slice(source.lastIndexOf('\n', start - 1) + 1).match(/^[ \t]*/)[0].length
+      let text = ''
+      for (;;) {
+        text += until(';', '\n', {ignore})
+        const next = char(Infinity).match(/^(\s*\n)([ \t]*)\S/)
+        if (!next || next[2].length <= indent) break
+        text += shift(next[1].length + next[2].length)
+      }
+      return text
+    }
+
+    const imports = []
+    const rules = []
+    for (;;) {
+      consumeWhile(' \r\n\t;')
+      if (!char()) break
+      const start = position(char, end)
+      if (consume(...whitespace.map(w => 'import' + w))) {
+        const text = statement(start)
+        const parts = text.match(/^\s*(?:([a-zA-Z0-9_]+(?:\s*,\s*[a-zA-Z0-9_]+)*)\s+from\s+)?(["'])((?:(?!\2).)*)\2\s*$/)
+        if (!parts) throw error('Expected `import "path"` or `import a, b from "path"`', p, start, position(char, end) - trailingSpace(text))
+        imports.push({names: parts[1] ? parts[1].split(',').map(name => name.trim()) : null, path: reveal(parts[3]), start, end: position(char, end) - trailingSpace(text)})
+      } else {
+        const name = consumeWhile(/[a-zA-Z0-9_]/)
+        consumeWhile(' \t')
+        if (!name || !consume(':')) throw error('Expected a rule, such as `name: expression`', p, start, position(char, end) + char(Infinity).match(/^[^\n;]*/)[0].length)
+        const text = statement(start)
+        if (!text.trim()) throw error('Expected an expression after `' + name + ':`', p, start, position(char, end))
+        const node = sub('expression', text.trim(), {end: position(char, end) - trailingSpace(text)})
+        rules.push({name, node, start, end: node.end})
+      }
+    }
+    return {imports, rules}
+  },
+
+  expression ({call, char, consume, sub, shift, until, untilEnd}, p, {end}) {
+    if (letBinding.test(char(Infinity)) && sub('isLet', char(Infinity))) return call('let', {end})
+    const a = until('?', {ignore})
+    const aEnd = position(char, end) - trailingSpace(a)
+    const q = position(char, end)
+    if (!consume('?')) return sub('expression2', a.trim(), {end: aEnd})
+    const test = sub('expression2', a.trim(), {end: aEnd})
+    const b = untilEnd('?', ':', {ignore})
+    const consequent = sub('expression', b.trim(), {end: position(char, end) - trailingSpace(b)})
+    if (!consume(':')) throw error('Missing second half of ternary expression', p, q, position(char, end))
+    const alternate = sub('expression', shift(Infinity), {end})
+    return {type: 'Ternary', test, consequent, alternate, start: test.start, end: alternate.end}
+  },
+
+  // Each binding in `let a = 1, b = a + 1 in body` becomes a `Let` node whose
+  // body contains the next one. A binding's value ends at the first top-level
+  // comma or `in`, so the `in` operator must be in parentheses there.
+  // Bindings must be followed by `in`, so that an identifier which begins with
+  // `let` can be compared (e.g. `let me = 1`)
+  isLet ({consume, until}) {
+    do until(',', ...inKeyword, {ignore})
+    while (consume(','))
+    return !!consume(...inKeyword)
+  },
+
+  let ({call, char, consume, consumeWhile, shift, sub, until}, p, {end}) {
+    call('whitespace')
+    const start = position(char, end)
+    consume('let')
+    const bindings = []
+    do {
+      call('whitespace')
+      const bindingStart = position(char, end)
+      const name = consumeWhile(identifierName).trim()
+      if (!consume('=')) throw error('Expected `=` after `let ' + name + '`', p, bindingStart, position(char, end))
+      const raw = until(',', ...inKeyword, {ignore})
+      const valueEnd = position(char, end) - trailingSpace(raw)
+      if (!raw.trim()) throw error('Expected a value for `' + name + '`', p, bindingStart, valueEnd)
+      bindings.push({name, value: sub('expression', raw.trim(), {end: valueEnd}), start: bindingStart})
+    } while (consume(','))
+    if (!consume(...inKeyword)) throw error('Expected `in` after `let` bindings', p, start, position(char, end))
+    call('whitespace')
+    const bodyStart = position(char, end)
+    const body = sub('expression', shift(Infinity), {end})
+    if (!body) throw error('Expected an expression after `in`', p, bodyStart, end)
+    return bindings.reduceRight((inner, {name, value, start: bindingStart}, i) => {
+      return {type: 'Let', name, value, body: inner, start: i ? bindingStart : start, end: inner.end}
+    }, body)
+  },
+
+  expression2 ({call}, {userArgs: [{operators} = {}]}, {end}) {
+    return call('operator', {operators: operatorTables(operators).boolean, type: 'Logical', next: 'expression3', end})
+  },
+
+  expression3 ({call}, {userArgs: [{operators} = {}]}, {end}) {
+    return call('operator', {operators: operatorTables(operators).comparison, type: 'Comparison', next: 'expression4', end})
+  },
+
+  expression4 ({call}, p, {end}) {
+    return call('operator', {operators: [coalesce], type: 'Coalesce', next: 'expression5', end})
+  },
+
+  expression5 ({call}, {userArgs: [{operators} = {}]}, {end}) {
+    return call('operator', {operators: operatorTables(operators).math, type: 'Math', next: 'value', end})
+  },
+
+  operator ({call, char, consume, is, sub, until}, p, {operators, type, next, end}) {
+    const chunk = (op, opStart) => {
+      const start = position(char, end)
+      const raw = (is('- ') ? '' : consume('-')) + until(...operators, {ignore})
+      const value = raw.trim()
+      const valueEnd = position(char, end) - trailingSpace(raw)
+      if (op && !value) throw error('Expected to find an expression to the right of the ' + op + ' operator.', p, opStart, opStart + op.trim().length)
+      return sub(next, value, {end: valueEnd}) || defaultLeft(start)
+    }
+    const wordOps = operators.reduce((w, op) => { if (op.startsWith(' ')) w.push(op.substr(1)); return w }, [])
+    let initialWord = is(...wordOps)
+    let left = initialWord ? defaultLeft(position(char, end)) : chunk()
+    while (char()) {
+      const consumed = initialWord ? consume(...wordOps) : consume(...operators)
+      const op = initialWord ? ' ' + consumed : consumed
+      const opStart = position(char, end) - consumed.replace(/^\s+/, '').length
+      call('whitespace')
+      if (op) {
+        const right = chunk(op, opStart)
+        left = {type, operator: reveal(op.trim()), left, right, start: left.start, end: right.end}
+      } else {
+        break
+      }
+      initialWord = false
+    }
+    return left
+  },
+
+  whitespace ({consumeWhile}) {
+    consumeWhile(' \r\n\t')
+  },
+
+  value ({call, char, consume, is, shift, sub, throughEnd}, {userArgs: [{allowRegexLiterals} = {}]}, {end}) {
+    while (char()) {
+      call('whitespace')
+      const start = position(char, end)
+      if (consume('(')) return call('valueAccess', {object: call('parens', {start, end}), end})
+      else if (consume('!')) {
+        const argument = call('value', {end}) || defaultLeft(position(char, end))
+        return {type: 'Not', argument, start, end: argument.end}
+      } else if (consume('debug ')) {
+        const syntax = reveal(char(Infinity))
+        const argument = call('value', {end}) || defaultLeft(position(char, end))
+        return {type: 'Debug', syntax, argument, start, end: argument.end}
+      } else if (consume('$')) {
+        const name = call('identifier', {end})
+        return call('valueAccess', {object: variable(name, start, position(char, end)), end})
+      } else if (consume('[')) {
+        const elements = enclosed({char, sub, throughEnd}, end, 'list', '[', ']', {ignore})
+        return call('valueAccess', {object: {type: 'Array', elements, start, end: position(char, end)}, end})
+      } else if (allowRegexLiterals && consume(regexDelimiter)) return call('regex', {start, end})
+      else if (is('"', "'")) return call('valueAccess', {object: call('string', {end}), end})
+      else if (is('.', optionalChain)) return call('valueAccess', {object: defaultLeft(start), end})
+      else if (consume('true', {ci: true})) return {type: 'Boolean', value: true, start, end: position(char, end)}
+      else if (consume('false', {ci: true})) return {type: 'Boolean', value: false, start, end: position(char, end)}
+      else if (consume('null', {ci: true})) return {type: 'Null', start, end: position(char, end)}
+      else if (consume('-∞') || consume('-infinity', {ci: true})) return {type: 'Number', value: '-Infinity', start, end: position(char, end)}
+      else if (consume('∞') || consume('infinity', {ci: true})) return {type: 'Number', value: 'Infinity', start, end: position(char, end)}
+      else if (consume(dateDelimiter)) return call('valueAccess', {object: call('date', {start, end}), end})
+      else if (matchDuration(char(Infinity))) {
+        const value = shift(matchDuration(char(Infinity)).length)
+        return call('valueAccess', {object: {type: 'Duration', value, start, end: position(char, end)}, end})
+      } else if (number.test(char(3))) return call('number', {end})
+      return call('fallback', {end})
+    }
+  },
+
+  identifier ({char, consume, consumeWhile, sub, throughEnd}, p, {end}) {
+    if (consume('(')) return enclosed({char, sub, throughEnd}, end, 'expression', '(', ')', {ignore})
+    if (consume('{')) return reveal(throughEnd('{', '}'), '{}')
+    return consumeWhile(identifierName).trim()
+  },
+
+  fallback ({call, char, until}, p, {end}) {
+    const start = position(char, end)
+    const raw = until('(', '.', optionalChain)
+    const name = raw.trim()
+    const node = {type: 'Identifier', name, start, end: position(char, end) - trailingSpace(raw)}
+    if (char()) return call('valueAccess', {object: node, end})
+    if (invalidIdentifierName.test(name)) throw error('Unrecognized syntax: `' + name + '`', p, node.start, node.end)
+    return node
+  },
+
+  valueAccess ({call, char, consume, sub, throughEnd}, p, {object, end}) {
+    let node = object
+    while (char()) {
+      call('whitespace')
+      const optional = !!consume(optionalChain)
+      if (consume('(')) {
+        const funcArgs = enclosed({char, sub, throughEnd}, end, 'list', '(', ')', {})
+        node = {type: 'Call', callee: node, arguments: funcArgs, start: node.start, end: position(char, end)}
+        if (optional) node.optional = true
+      } else if (optional || consume('.')) {
+        node = member(node, call('identifier', {end}), optional, position(char, end))
+      } else {
+        break
+      }
+    }
+    return node
+  },
+
+  parens ({call, char, consume, sub, throughEnd}, p, {start, end}) {
+    const firstStart = position(char, end)
+    const first = throughEnd('(', ')', {ignore})
+    const firstEnd = firstStart + first.length
+    const closeEnd = position(char, end)
+    call('whitespace')
+    if (!consume('{')) return {type: 'Group', expression: sub('expression', first, {end: firstEnd}), start, end: closeEnd}
+
+    // We're dealing with a function
+    const params = sub('list', first, {raw: true, end: firstEnd}).map(varName => varName.replace(notIdentifierName, ''))
+    const body = enclosed({char, sub, throughEnd}, end, 'expression', '{', '}', {ignore})
+    return {type: 'Function', params, body, start, end: position(char, end)}
+  },
+
+  list ({consume, char, sub, until}, p, {raw, end}) {
+    const arr = []
+    while (char()) {
+      if (raw) arr.push(until(',').trim())
+      else {
+        const item = until(',', {ignore})
+        arr.push(sub('expression', item, {end: position(char, end)}))
+      }
+      consume(',')
+    }
+    return arr
+  },
+
+  regex ({char, consume, consumeWhile, until}, p, {start, end}) {
+    const pattern = reveal(until(regexDelimiter), regexDelimiter)
+    consume(regexDelimiter)
+    const flags = consumeWhile('gimsuy')
+    return {type: 'Regex', pattern, flags, start, end: position(char, end)}
+  },
+
+  date ({char, consume, until}, p, {start, end}) {
+    const value = until(dateDelimiter).trim()
+    if (!consume(dateDelimiter)) throw error('Date literal is missing its closing ' + dateDelimiter, p, start, position(char, end))
+    if (!relativeDates.includes(value.toLowerCase()) && !parseDate(value)) throw error('Invalid date: `' + value + '`', p, start, position(char, end))
+    return {type: 'Date', value: relativeDates.includes(value.toLowerCase()) ? value.toLowerCase() : value, start, end: position(char, end)}
+  },
+
+  string ({char, consume, until}, p, {end}) {
+    const start = position(char, end)
+    const quote = consume('"', "'")
+    if (!quote) throw new Error('string subroutine called without quote in queue')
+    const value = reveal(until(quote), quote)
+    consume(quote)
+    return {type: 'String', value, start, end: position(char, end)}
+  },
+
+  number ({char, consume, consumeWhile}, p, {end}) {
+    const start = position(char, end)
+    const neg = !!consume('-')
+    let n = ''
+    let dec = false
+    while (char()) {
+      if (consume('.')) {
+        if (dec) throw error('Number cannot have more than one decimal point', p, position(char, end) - 1, position(char, end))
+        dec = true
+        n += '.'
+      }
+      const d = consumeWhile(digits)
+      if (!d) break
+      n += d
+    }
+    n = Number(n)
+    if (neg) n = -n
+    return {type: 'Number', value: jsonNumber(n), start, end: position(char, end)}
+  },
+}
+
+const grammar = parserFactory('start', rules)
+const preludeGrammar = parserFactory('definitions', rules)
+const moduleGrammar = parserFactory('module', rules)
+
+module.exports = (conscription, options) => grammar(hide(conscription, conscription), options, conscription)
+module.exports.definitions = (prelude, options) => preludeGrammar(hide(prelude, prelude), options, prelude)
+module.exports.module = (source, options) => moduleGrammar(hide(source, source, true), options, source)
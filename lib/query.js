@@ -0,0 +1,280 @@
+'use strict'
+
+const compile = require('./compile')
+const {ConscriptTranslationError} = require('./errors')
+const optimize = require('./optimize')
+const stringify = require('./stringify')
+
+const orderings = ['<', '<=', '>=', '>']
+const flipped = {'<': '>', '<=': '>=', '>=': '<=', '>': '<'}
+const textOps = {'~=': ['', '', true], '^=': ['', '%', false], '^~=': ['', '%', true], '$=': ['%', '', false], '$~=': ['%', '', true], '*=': ['%', '%', false], '*~=': ['%', '%', true]}
+const negatedOps = {'<>': '=', 'is not': 'is', '!is': 'is', 'not in': 'in', '!in': 'in', '!matches': 'matches'}
+const mongoOrderings = {'<': '$lt', '<=': '$lte', '>=': '$gte', '>': '$gt'}
+const mongoFlags = /^[gims]*$/
+const sqlPrecedence = {or: 1, and: 2, atom: 3}
+// MongoDB gives special meanings to field names which contain these
+const mongoReserved = /^\$|[.\0]/
+
+const escapeRegex = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+const escapeLike = str => str.replace(/[!%_]/g, '!$&')
+const quoteName = name => '"' + name.replace(/"/g, '""') + '"'
+
+// Splits a `like` pattern into wildcards (`%` and `_`) and literal characters,
+// which may be escaped with a backslash
+function likeParts (pattern) {
+  const chars = Array.from(pattern)
+  const parts = []
+  for (let i = 0; i < chars.length; i++) {
+    if (chars[i] === '\\' && i + 1 < chars.length) parts.push({literal: chars[++i]})
+    else parts.push(chars[i] === '%' || chars[i] === '_' ? {wildcard: chars[i]} : {literal: chars[i]})
+  }
+  return parts
+}
+
+// Splits an operator into the operator it negates, if any, and whether it is
+// negated (e.g. `!^=` becomes `^=`).
+function positive (op) {
+  if (op in negatedOps) return [negatedOps[op], true]
+  if (op.startsWith('!')) return [op.slice(1), true]
+  return [op, false]
+}
+
+function isLiteral (node) {
+  switch (node.type) {
+    case 'Boolean': case 'Date': case 'Null': case 'Number': case 'Regex': case 'String': return true
+    case 'Array': return node.elements.every(isLiteral)
+    case 'Group': return isLiteral(node.expression)
+  }
+  return false
+}
+
+// Returns the path of the variable that a node reads, or null if it reads
+// something else (such as the result of a call).
+function variablePath (node) {
+  switch (node.type) {
+    case 'Identifier': return node.name ? [node.name] : null
+    case 'Variable': return !node.computed && node.name ? [node.name] : null
+    case 'Group': return variablePath(node.expression)
+    case 'Member': {
+      const path = variablePath(node.object)
+      if (!path) return null
+      if (!node.computed) return [...path, node.property]
+      if (node.property.type === 'String' || node.property.type === 'Number') return [...path, String(node.property.value)]
+    }
+  }
+  return null
+}
+
+// Translates the conditions of a script into the conditions of a database
+// query, using `backend` to write each one. Variables are mapped to fields by
+// `options.fields`, and variables in `options.vars` are replaced by their
+// values. A part of the script that can't be translated throws an error, or if
+// `options.residual` is set, the conjuncts of the script (i.e. the operands of
+// its top-level `&` operators) which contain one are returned as a residual
+// script, which the records found by the query still need to satisfy.
+function translate (backend, ast, options = {}, source) {
+  const {fields, now, residual = false, vars} = options
+  const optimized = optimize(ast, {...options, vars, defaultLeft: undefined})
+
+  function fail (node, reason) {
+    const snippet = typeof source === 'string' && node.end > node.start ? source.slice(node.start, node.end) : stringify(node)
+    throw new ConscriptTranslationError('Cannot translate `' + snippet + '` to ' + backend.name + ': ' + reason, {source, start: node.start, end: node.end})
+  }
+
+  function value (node) {
+    if (node.type === 'Group') return value(node.expression)
+    if (node.type === 'Array') return node.elements.map(value)
+    return compile.literal(node, now, source)([, {}])
+  }
+
+  function field (node) {
+    const path = variablePath(node)
+    if (!path) return null
+    const name = typeof fields === 'function' ? fields(path)
+      : fields ? fields[path.join('.')]
+        : backend.defaultField(path)
+    if (typeof name !== 'string') fail(node, fields ? 'the variable isn’t mapped to a field' : 'the variable’s path can’t be used as a field name')
+    return name
+  }
+
+  function comparison (node) {
+    const [op, negated] = positive(node.operator)
+    let [f, other] = [field(node.left), node.right]
+    let operator = op
+    if (!f) {
+      [f, other] = [field(node.right), node.left]
+      if (!f) fail(node, 'one operand must be a variable and the other a constant')
+      if (!orderings.includes(op) && op !== '=') fail(node, 'the variable must be on the left of the `' + op + '` operator')
+      if (op in flipped) operator = flipped[op]
+    }
+    if (!isLiteral(other)) fail(node, 'one operand must be a variable and the other a constant')
+    const v = value(other)
+
+    let condition
+    if (op === '=' || orderings.includes(op)) {
+      if (v instanceof RegExp || Array.isArray(v)) fail(node, 'the constant must be a string, number, boolean, date, or null')
+      if (v === null && op !== '=') fail(node, 'null can only be compared with `=` or `<>`')
+      condition = backend.compare(f, operator, v)
+    } else if (op in textOps) {
+      if (typeof v !== 'string' && typeof v !== 'number') fail(node, 'the `' + op + '` operator requires a string')
+      condition = backend.text(f, textOps[op], String(v), v)
+    } else if (op === 'like' || op === '~like') {
+      if (typeof v !== 'string' && typeof v !== 'number') fail(node, 'the `' + op + '` operator requires a string')
+      condition = backend.like(f, likeParts(op === '~like' ? String(v).toLowerCase() : String(v)), op === '~like')
+    } else if (op === 'in') {
+      if (!Array.isArray(v)) fail(node, 'the `in` operator requires an array of constants')
+      condition = backend.in(f, v)
+    } else if (op === 'is') {
+      if (v !== null) fail(node, 'only `is null` is supported')
+      condition = backend.compare(f, '=', null)
+    } else if (op === 'matches') {
+      if (!(v instanceof RegExp)) fail(node, 'the `matches` operator requires a regular expression')
+      condition = backend.matches(f, v) || fail(node, backend.name + ' doesn’t support this regular expression')
+    } else {
+      fail(node, 'the `' + node.operator + '` operator isn’t supported')
+    }
+    return negated ? backend.not(condition) : condition
+  }
+
+  function condition (node) {
+    switch (node.type) {
+      case 'Group': return condition(node.expression)
+      case 'Logical':
+        if (node.operator !== '&' && node.operator !== '|') break
+        return backend[node.operator === '&' ? 'and' : 'or']([condition(node.left), condition(node.right)])
+      case 'Not': return backend.not(condition(node.argument))
+      case 'Comparison': return comparison(node)
+      case 'Boolean': return backend.constant(node.value)
+    }
+    // A variable on its own is true if it is `true`
+    const f = field(node)
+    if (f) return backend.compare(f, '=', true)
+    return fail(node, 'it isn’t a condition')
+  }
+
+  if (!residual) return {...backend.result(condition(optimized)), residual: null}
+
+  const conjuncts = []
+  const split = node => {
+    if (node.type === 'Group') split(node.expression)
+    else if (node.type === 'Logical' && node.operator === '&') [node.left, node.right].forEach(split)
+    else conjuncts.push(node)
+  }
+  split(optimized)
+  const translated = []
+  const residuals = []
+  for (const conjunct of conjuncts) {
+    try {
+      translated.push(condition(conjunct))
+    } catch (e) {
+      if (!(e instanceof ConscriptTranslationError)) throw e
+      residuals.push(conjunct)
+    }
+  }
+  return {
+    ...backend.result(translated.length ? backend.and(translated) : backend.constant(true)),
+    residual: residuals.length ? stringify(residuals.reduce((left, right) => ({type: 'Logical', operator: '&', left, right}))) : null,
+  }
+}
+
+// Conditions are lists of SQL fragments and parameter values, which are
+// replaced by placeholders once the whole query has been translated. Each has
+// a precedence, so that parentheses are only added where they are needed.
+function sql ({placeholder = () => '?', regexOperator} = {}) {
+  const atom = (...parts) => ({parts, precedence: sqlPrecedence.atom})
+  const param = value => ({value})
+  const wrap = (c, precedence) => c.precedence < precedence ? ['(', ...c.parts, ')'] : c.parts
+  const join = (conditions, keyword) => {
+    const precedence = sqlPrecedence[keyword.toLowerCase()]
+    const parts = [].concat(...conditions.map((c, i) => [...(i ? [' ' + keyword + ' '] : []), ...wrap(c, precedence)]))
+    return {parts, precedence}
+  }
+
+  return {
+    name: 'SQL',
+    defaultField: path => path.map(quoteName).join('.'),
+    and: conditions => join(conditions, 'AND'),
+    or: conditions => join(conditions, 'OR'),
+    // NOT would leave rows where the condition is NULL (e.g. because a column
+    // is NULL) unmatched, whereas the script would be true for them
+    not: c => c.negation || atom('(', ...c.parts, ') IS NOT TRUE'),
+    constant: bool => atom(bool ? '1 = 1' : '1 = 0'),
+    compare (f, op, v) {
+      if (v === null) return {...atom(f + ' IS NULL'), negation: atom(f + ' IS NOT NULL')}
+      return atom(f + ' ' + op + ' ', param(v))
+    },
+    text (f, [before, after, ci], v) {
+      if (ci) return atom('LOWER(' + f + ') LIKE ', param(before + escapeLike(v.toLowerCase()) + after), " ESCAPE '!'")
+      return atom(f + ' LIKE ', param(before + escapeLike(v) + after), " ESCAPE '!'")
+    },
+    like (f, parts, ci) {
+      const pattern = parts.map(({literal, wildcard}) => wildcard || escapeLike(literal)).join('')
+      return atom((ci ? 'LOWER(' + f + ')' : f) + ' LIKE ', param(pattern), " ESCAPE '!'")
+    },
+    in (f, values) {
+      const nonNull = values.filter(v => v !== null)
+      const list = [].concat(...nonNull.map((v, i) => i ? [', ', param(v)] : [param(v)]))
+      const c = nonNull.length ? atom(f + ' IN (', ...list, ')') : atom('1 = 0')
+      return nonNull.length < values.length ? join([c, atom(f + ' IS NULL')], 'OR') : c
+    },
+    matches (f, regex) {
+      if (!regexOperator || regex.flags.replace('g', '')) return null
+      return atom(f + ' ' + regexOperator + ' ', param(regex.source))
+    },
+    result ({parts}) {
+      const params = []
+      const where = parts.map(part => {
+        if (typeof part === 'string') return part
+        params.push(part.value)
+        return placeholder(params.length - 1)
+      }).join('')
+      return {where, params}
+    },
+  }
+}
+
+function mongo () {
+  return {
+    name: 'MongoDB',
+    defaultField: path => path.some(segment => !segment || mongoReserved.test(segment)) ? null : path.join('.'),
+    and: filters => ({$and: [].concat(...filters.map(f => Object.keys(f).length === 1 && f.$and ? f.$and : [f]))}),
+    or: filters => ({$or: filters}),
+    not (filter) {
+      const keys = Object.keys(filter)
+      if (keys.length === 1 && !keys[0].startsWith('$')) {
+        const [key] = keys
+        const cond = filter[key]
+        if (cond === null || typeof cond !== 'object' || cond instanceof Date) return {[key]: {$ne: cond}}
+        if (Object.keys(cond).length === 1 && '$in' in cond) return {[key]: {$nin: cond.$in}}
+      }
+      return {$nor: [filter]}
+    },
+    constant: bool => bool ? {} : {$expr: false},
+    compare: (f, op, v) => ({[f]: op === '=' ? v : {[mongoOrderings[op]]: v}}),
+    text (f, [before, after, ci], v, original) {
+      const $regex = (before ? '' : '^') + escapeRegex(v) + (after ? '' : '$')
+      const regex = ci ? {$regex, $options: 'i'} : {$regex}
+      if (!before || !after) return {[f]: regex}
+      // `*=` checks whether an array contains the value, rather than whether
+      // one of its elements contains it
+      const element = ci ? {$regex: '^' + escapeRegex(v) + '$', $options: 'i'} : {$eq: original}
+      return {$or: [{[f]: {$elemMatch: element}}, {[f]: {$not: {$type: 'array'}, ...regex}}]}
+    },
+    like (f, parts, ci) {
+      const $regex = '^' + parts.map(({literal, wildcard}) => wildcard ? (wildcard === '%' ? '[\\s\\S]*' : '[\\s\\S]') : escapeRegex(literal)).join('') + '$'
+      return {[f]: ci ? {$regex, $options: 'i'} : {$regex}}
+    },
+    in: (f, values) => ({[f]: {$in: values}}),
+    matches (f, regex) {
+      if (!mongoFlags.test(regex.flags)) return null
+      const $options = regex.flags.replace('g', '')
+      return {[f]: $options ? {$regex: regex.source, $options} : {$regex: regex.source}}
+    },
+    result: filter => ({filter}),
+  }
+}
+
+module.exports = {
+  toMongo: (ast, options, source) => translate(mongo(), ast, options, source),
+  toSql: (ast, options = {}, source) => translate(sql(options), ast, options, source),
+}
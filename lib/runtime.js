@@ -0,0 +1,460 @@
+'use strict'
+
+const arrify = require('arrify')
+const caseInsensitive = require('case-insensitive')
+const filterObject = require('filter-obj')
+const isObject = require('is-object')
+const isNonArrayObject = require('isobject')
+const isit = require('isit')
+const {has, get} = require('m-o')
+const removePrefix = require('remove-prefix')
+const replaceString = require('replace-string')
+const toNumber = require('2/number')
+const toStr = require('2/string')
+const {accessPolicy, blocked, trust} = require('./access')
+const {Duration, addDuration, isTemporal} = require('./dates')
+const equals = require('./equals')
+const {ConscriptRuntimeError, ConscriptSyntaxError} = require('./errors')
+const {findMethod, isStandardObjectMethod, methodRegistry} = require('./methods')
+const {toSafeRegExp} = require('./safe-regex')
+const wildcardRegExp = require('./wildcards')
+
+const notAVar = Symbol('notAVar')
+const notAnIndex = Symbol('notAnIndex')
+const setOperators = ['any in', 'all in', 'intersects', 'subset of', 'superset of']
+const wildcardOperators = ['like', '~like', 'glob']
+
+const defaultAccess = accessPolicy()
+
+// A function which a registry entry creates (like `map` does) is a method,
+// which can always be called, but one that it reads from the value (like
+// `first` does) is not
+function methodResult (x, result) {
+  if (typeof result !== 'function') return result
+  const values = x instanceof Map ? Array.from(x.values()) : isObject(x) ? Object.values(x) : []
+  return values.includes(result) ? result : trust(result)
+}
+
+// A function which can't be called is read as null, unless the script is
+// about to call it
+function unblock (value, prop, callee, loc) {
+  if (value !== blocked) return value
+  if (callee) throw new ConscriptRuntimeError('Calling `' + prop + '` is not allowed', loc)
+  return null
+}
+
+// Stands in for a function which can't be called, wherever the script passes
+// it, so that it can't be called under another name or by a method like `map`
+const refusals = new WeakMap()
+function refusal (name) {
+  const message = name ? 'Calling `' + name + '` is not allowed' : 'Calling this function is not allowed'
+  const refused = trust(() => { throw new ConscriptRuntimeError(message) })
+  refusals.set(refused, message)
+  return refused
+}
+
+// Variables are checked when they're read, so that the policy sees the name
+// the caller gave the function
+function guardVar (value, varName, access) {
+  return access.filter(value, varName) === blocked ? refusal(varName) : value
+}
+
+function accessArrayProp (x, prop, maybe, loc, methods = methodRegistry(), access = defaultAccess, callee = false) {
+  x = x()
+  const method = findMethod(methods, x, prop)
+  if (method) return methodResult(x, method(x))
+  if (Array.isArray(x) || typeof x === 'string') {
+    const index = toNumber(prop, {elseCall () {
+      if (!maybe) throw new ConscriptRuntimeError('Array index `' + prop + '` is not a number', loc)
+      return notAnIndex
+    }})
+    return index === notAnIndex ? null : unblock(access.filter(x[index], prop, x), prop, callee, loc)
+  } else if (!maybe) {
+    throw new ConscriptRuntimeError('Cannot retrieve property `' + prop + '` from a non-array', loc)
+  }
+  return null
+}
+
+// Which properties of an object can be read is decided by the access policy.
+// `callee` is whether the property is about to be called.
+function accessObjectProp (obj, prop, maybe, loc, methods = methodRegistry(), access = defaultAccess, callee = false) {
+  obj = obj()
+  if (Array.isArray(obj) || typeof obj === 'string') return accessArrayProp(() => obj, prop, maybe, loc, methods, access, callee)
+  if (isObject(obj)) {
+    if (access.canRead(obj, prop)) return unblock(access.read(obj, prop), prop, callee, loc)
+    const method = findMethod(methods, obj, prop)
+    if (!method) return null
+    const value = isStandardObjectMethod(method) && !(obj instanceof Map) ? access.view(obj) : obj
+    return methodResult(value, method(value))
+  }
+  const method = findMethod(methods, obj, prop)
+  if (method) return methodResult(obj, method(obj))
+  if (!maybe) throw new ConscriptRuntimeError('Cannot retrieve property `' + prop + '` from a non-object', loc)
+  return null
+}
+
+function applyAbsoluteComparisonOperator (left, op, right, safeOp, loc, regexEngine) {
+  const [setOp, negated] = removePrefix(op, '!')
+  if (setOperators.includes(setOp.replace('~', ''))) return args => applySetOperator(left(args), setOp, right(args)) === !negated
+  if (wildcardOperators.includes(setOp)) return getApplyWildcardOperator(left, setOp, right, !negated, loc)
+  switch (op) {
+    case 'is': return args => isit(right(args), left(args))
+    case '!is': case 'is not': return args => !isit(right(args), left(args))
+    case 'in': return args => applyInclusionOperator(left(args), right(args), false)
+    case '!in': case 'not in': return args => !applyInclusionOperator(left(args), right(args), false)
+    case '~in': return args => applyInclusionOperator(left(args), right(args), true)
+    case '!~in': case 'not ~in': return args => !applyInclusionOperator(left(args), right(args), true)
+    case 'matches': return getApplyRegexOperator(left, right, true, safeOp, loc, regexEngine)
+    case '!matches': return getApplyRegexOperator(left, right, false, safeOp, loc, regexEngine)
+    case '<': return args => left(args) < right(args)
+    case '<=': return args => left(args) <= right(args)
+    case '=': return args => equals(left(args), right(args))
+    case '>=': return args => left(args) >= right(args)
+    case '>': return args => left(args) > right(args)
+    case '<>': return args => {
+      const l = left(args)
+      const r = right(args)
+      return (isTemporal(l) || isTemporal(r)) ? !equals(l, r) : l !== r
+    }
+    case '~=': return args => toStr(left(args)).toLowerCase() === toStr(right(args)).toLowerCase()
+    case '^=': return args => toStr(left(args)).startsWith(toStr(right(args)))
+    case '^~=': return args => toStr(left(args)).toLowerCase().startsWith(toStr(right(args)).toLowerCase())
+    case '$=': return args => toStr(left(args)).endsWith(toStr(right(args)))
+    case '$~=': return args => toStr(left(args)).toLowerCase().endsWith(toStr(right(args)).toLowerCase())
+    case '*=': return args => applyInclusionOperator(right(args), left(args), false)
+    case '*~=': return args => applyInclusionOperator(right(args), left(args), true)
+  }
+  throw new ConscriptSyntaxError('Unhandled comparison operator `' + op + '`', loc)
+}
+
+function applyBooleanOperator (left, op, right, safeOp, loc, operators = new Map()) {
+  if (operators.has(op)) return applyCustomOperator(left, operators.get(op), right, safeOp, loc)
+  switch (op) {
+    case '&': return args => left(args) && right(args)
+    case '|': return args => left(args) || right(args)
+  }
+  throw new ConscriptSyntaxError('Unhandled boolean operator `' + op + '`', loc)
+}
+
+function applyComparisonOperator (left, op, right, safeOp, loc, operators = new Map(), regexEngine) {
+  // Built-in word operators have their own negated forms (e.g. `!is`)
+  const [absOp, neg] = (/[a-z]/.test(op) && !operators.has(removePrefix(op, '!')[0])) ? [op] : removePrefix(op, '!')
+  const r = operators.has(absOp)
+    ? applyCustomOperator(left, operators.get(absOp), right, safeOp, loc)
+    : applyAbsoluteComparisonOperator(left, absOp, right, safeOp, loc, regexEngine)
+  return neg ? args => !r(args) : r
+}
+
+function applyCustomOperator (left, {evaluate, safeValue}, right, safeOp, loc) {
+  return args => {
+    const l = left(args)
+    const r = right(args)
+    try {
+      return nullify(evaluate(l, r, {safeOp}))
+    } catch (e) {
+      if (!(e instanceof TypeError) || e instanceof ConscriptRuntimeError) throw e
+      if (safeOp) return safeValue
+      throw new ConscriptRuntimeError(e.message, loc)
+    }
+  }
+}
+
+function applyDateOperator (l, op, r, safeOp, loc) {
+  const ld = l instanceof Date
+  const rd = r instanceof Date
+  const lt = l instanceof Duration
+  const rt = r instanceof Duration
+  switch (op) {
+    case '+':
+      if (ld && rt) return addDuration(l, r)
+      if (lt && rd) return addDuration(r, l)
+      if (lt && rt) return l.plus(r)
+      break
+    case '-':
+      if (ld && rt) return addDuration(l, r.negate())
+      if (ld && rd) return new Duration({milliseconds: l - r})
+      if (lt && rt) return l.plus(r.negate())
+      break
+    case '*':
+      if (lt && typeof r === 'number') return l.times(r)
+      if (rt && typeof l === 'number') return r.times(l)
+      break
+    case '/':
+      if (lt && typeof r === 'number') return l.times(1 / r)
+      if (lt && rt) return l / r
+  }
+  if (safeOp) return null
+  throw new ConscriptRuntimeError('Cannot perform ' + op + ' operation on this combination of dates, durations, and other values', loc)
+}
+
+// Array items are compared like `=` compares values, so that dates and
+// durations are found. Ignoring case compares other needles as strings.
+function applyInclusionOperator (needle, haystack, ci) {
+  if (Array.isArray(haystack)) return contains(haystack, ci && !isTemporal(needle) ? toStr(needle) : needle, ci)
+  haystack = toStr(haystack)
+  if (ci) haystack = caseInsensitive(haystack)
+  return haystack.includes(toStr(needle))
+}
+
+// Whether `haystack` contains `needle`, comparing array elements with equals().
+// `ci` makes string comparisons case-insensitive.
+function contains (haystack, needle, ci) {
+  if (!Array.isArray(haystack)) return applyInclusionOperator(needle, haystack, ci)
+  if (ci && typeof needle === 'string') {
+    const lower = needle.toLowerCase()
+    return haystack.some(x => typeof x === 'string' ? x.toLowerCase() === lower : equals(x, needle))
+  }
+  return haystack.some(x => equals(x, needle))
+}
+
+// Treats non-array operands as arrays containing one element (or none, for
+// null). `any in` and `all in` also accept a string as the right operand.
+function applySetOperator (l, op, r) {
+  const ci = op.includes('~')
+  switch (op.replace('~', '')) {
+    case 'any in': return arrify(l).some(x => contains(r, x, ci))
+    case 'all in': return arrify(l).every(x => contains(r, x, ci))
+    case 'intersects': return arrify(l).some(x => contains(arrify(r), x, ci))
+    case 'subset of': return arrify(l).every(x => contains(arrify(r), x, ci))
+    case 'superset of': return arrify(r).every(x => contains(arrify(l), x, ci))
+  }
+}
+
+function unique (arr) {
+  return arr.filter((x, i) => arr.findIndex(y => equals(x, y)) === i)
+}
+
+function applyMathOperator (left, op, right, safeOp, loc, operators = new Map()) {
+  if (operators.has(op)) return applyCustomOperator(left, operators.get(op), right, safeOp, loc)
+
+  function checkResult (result) {
+    if (Number.isNaN(result)) {
+      if (safeOp) return 0
+      throw new ConscriptRuntimeError('Cannot perform ' + op + ' operation on a non-number', loc)
+    }
+    return result
+  }
+
+  function add (l, r) {
+    const la = Array.isArray(l)
+    const ra = Array.isArray(r)
+    const ln = typeof l === 'number'
+    const rn = typeof r === 'number'
+    const ls = typeof l === 'string'
+    const rs = typeof r === 'string'
+
+    if (la) return l.concat(ra ? r : [r])
+    if (ra) return (la ? l : [l]).concat(r)
+    if (isNonArrayObject(l) && isNonArrayObject(r)) return {...l, ...r}
+
+    if (ln & rs) r = toNumber(r)
+    else if (ls & rn) l = toNumber(l)
+    else if (ls & !rs) {
+      if (!rn && !safeOp) throw new ConscriptRuntimeError('Cannot concatenate a non-string to a string', loc)
+      r = toStr(r)
+    } else if (!ls & rs) {
+      if (!ln && !safeOp) throw new ConscriptRuntimeError('Cannot concatenate a string to a non-string', loc)
+      l = toStr(l)
+    } else if (ln & !rn) {
+      if (!safeOp) throw new ConscriptRuntimeError('Cannot add a non-number to a number', loc)
+      r = 0
+    } else if (!ln & rn) {
+      if (!safeOp) throw new ConscriptRuntimeError('Cannot add a number to a non-number', loc)
+      l = 0
+    }
+
+    return l + r
+  }
+
+  switch (op) {
+    case '+': return args => {
+      const l = left(args)
+      const r = right(args)
+      if (isTemporal(l) || isTemporal(r)) return applyDateOperator(l, op, r, safeOp, loc)
+      return checkResult(add(l, r))
+    }
+    case '-': return args => {
+      let l = left(args)
+      let r = right(args)
+      if (isTemporal(l) || isTemporal(r)) return applyDateOperator(l, op, r, safeOp, loc)
+
+      if (Array.isArray(l)) {
+        r = arrify(r)
+        return l.filter(x => !contains(r, x, false))
+      }
+
+      if (isObject(l)) {
+        if (isObject(r) && !Array.isArray(r)) {
+          const re = Object.entries(r)
+          return filterObject(l, (lk, lv) => !re.some(([rk, rv]) => equals(lk, rk) && equals(lv, rv)))
+        }
+
+        r = arrify(r)
+        return filterObject(l, lk => !r.some(rk => equals(lk, rk)))
+      }
+
+      const ln = typeof l === 'number'
+      const rn = typeof r === 'number'
+      const ls = typeof l === 'string'
+      const rs = typeof r === 'string'
+
+      if (ls && rs) return replaceString(l, r, '')
+
+      if (ln & rs) r = toNumber(r)
+      else if (ls & rn) l = toNumber(l)
+
+      return checkResult(l - r)
+    }
+    case '*': return args => {
+      const l = left(args)
+      const r = right(args)
+      if (isTemporal(l) || isTemporal(r)) return applyDateOperator(l, op, r, safeOp, loc)
+      return checkResult(l * r)
+    }
+    case '/': return args => {
+      const l = left(args)
+      const r = right(args)
+      if (isTemporal(l) || isTemporal(r)) return applyDateOperator(l, op, r, safeOp, loc)
+      if (Object.is(r, 0)) return Infinity
+      if (Object.is(r, -0)) return -Infinity
+      return checkResult(l / r)
+    }
+    case '%': return args => {
+      const l = left(args)
+      const r = right(args)
+      if (isTemporal(l) || isTemporal(r)) return applyDateOperator(l, op, r, safeOp, loc)
+      return checkResult(l % r)
+    }
+    case '^': return args => {
+      const l = left(args)
+      const r = right(args)
+      if (isTemporal(l) || isTemporal(r)) return applyDateOperator(l, op, r, safeOp, loc)
+      return checkResult(l ** r)
+    }
+    case 'before': return args => {
+      const rightResult = toStr(right(args))
+      return rightResult ? toStr(left(args)) + rightResult : rightResult
+    }
+    case 'then': return args => {
+      const leftResult = left(args)
+      return leftResult ? checkResult(add(leftResult === true ? '' : leftResult, right(args))) : leftResult
+    }
+    case 'union': return args => unique(arrify(left(args)).concat(arrify(right(args))))
+    case 'intersect': return args => {
+      const r = arrify(right(args))
+      return unique(arrify(left(args)).filter(x => contains(r, x, false)))
+    }
+  }
+  throw new ConscriptSyntaxError('Unhandled math operator `' + op + '`', loc)
+}
+
+// `name` is the name of the variable that the function was read from, if any
+function callFunction (identifier, func, funcArgs, maybe, loc, access = defaultAccess, name = null) {
+  func = func()
+  if (typeof func === 'function') {
+    if (refusals.has(func)) throw new ConscriptRuntimeError(refusals.get(func), loc)
+    if (!access.isCallable(func, name)) throw new ConscriptRuntimeError(name ? 'Calling `' + name + '` is not allowed' : 'Calling this function is not allowed', loc)
+    return nullify(func(...funcArgs.map(arg => typeof arg !== 'function' || access.isCallable(arg, null) ? arg : refusal(null))))
+  } else if (!maybe) {
+    throw new ConscriptRuntimeError('`' + (identifier || func) + '` is not a function', loc)
+  }
+  return null
+}
+
+// Patterns are usually constants, so the last one is kept compiled
+function getApplyWildcardOperator (left, op, right, shouldMatch, loc) {
+  let pattern
+  let regex
+  return args => {
+    const str = toStr(left(args))
+    const p = toStr(right(args))
+    if (p !== pattern) {
+      try {
+        regex = wildcardRegExp(op === 'glob' ? 'glob' : 'like', p, op === '~like')
+      } catch (e) {
+        throw new ConscriptRuntimeError('Invalid pattern for the `' + op + '` operator: ' + e.message, loc)
+      }
+      pattern = p
+    }
+    return regex.test(str) === shouldMatch
+  }
+}
+
+// With the safe regex engine, regexes from variables are also run by it
+function getApplyRegexOperator (left, right, shouldMatch, safeOp, loc, regexEngine) {
+  const test = (regex, str) => {
+    if (regexEngine !== 'safe') return regex.test(str)
+    try {
+      regex = toSafeRegExp(regex)
+    } catch (e) {
+      throw new ConscriptRuntimeError(e.message, loc)
+    }
+    return regex.test(str)
+  }
+  return args => {
+    const l = left(args)
+    const r = right(args)
+    if (isit.a(RegExp, l) && isit.string(r)) return !test(l, r) === !shouldMatch
+    if (isit.a(RegExp, r) && isit.string(l)) return !test(r, l) === !shouldMatch
+    if (safeOp) return false
+    throw new ConscriptRuntimeError('To use the `matches` operator, one operand must be a regular expression and the other must be a string', loc)
+  }
+}
+
+function getUserVar ([vars], varName) {
+  if (typeof vars === 'function') {
+    const value = nullify(vars(varName, notAVar))
+    if (value !== notAVar) return value
+  } else if (isObject(vars) && has(vars, varName)) {
+    return nullify(get(vars, varName))
+  }
+  return notAVar
+}
+
+async function getUserVarAsync ([vars], varName) {
+  if (typeof vars === 'function') {
+    const value = nullify(await vars(varName, notAVar))
+    if (value !== notAVar) return value
+  } else if (isObject(vars) && has(vars, varName)) {
+    return nullify(await get(vars, varName))
+  }
+  return notAVar
+}
+
+// The variables of a `let` binding's frame. The value is computed the first
+// time it is read, and at most once.
+function letVars (name, compute) {
+  let computed = false
+  let value = null
+  return {
+    has: varName => varName === name,
+    get () {
+      if (!computed) {
+        value = compute()
+        computed = true
+      }
+      return value
+    },
+  }
+}
+
+function nullify (x) {
+  return (typeof x === 'undefined' || Number.isNaN(x)) ? null : x
+}
+
+module.exports = {
+  accessArrayProp,
+  accessObjectProp,
+  applyBooleanOperator,
+  applyComparisonOperator,
+  applyInclusionOperator,
+  applyMathOperator,
+  callFunction,
+  equals,
+  getUserVar,
+  getUserVarAsync,
+  guardVar,
+  letVars,
+  notAVar,
+  nullify,
+}
@@ -0,0 +1,507 @@
+'use strict'
+
+// The safe engine compiles a regex into a nondeterministic automaton and runs
+// every path through it at once, so matching a string takes time proportional
+// to the string's length times the size of the regex, and never backtracks.
+// Paths are kept in the order in which a backtracking engine would try them,
+// so that matches and capture groups are the ones JavaScript would find.
+// Constructs which can't be matched that way (backreferences and lookaround)
+// are rejected.
+
+const maxStates = 10000
+const supportedFlags = /^[dgimsuy]*$/
+const lineTerminators = [0x0a, 0x0d, 0x2028, 0x2029]
+
+const inRange = (lo, hi) => c => c >= lo && c <= hi
+const digit = inRange(0x30, 0x39)
+const word = c => digit(c) || inRange(0x41, 0x5a)(c) || inRange(0x61, 0x7a)(c) || c === 0x5f
+const space = c => /\s/.test(String.fromCodePoint(c))
+const classEscapes = {d: digit, w: word, s: space}
+const controlEscapes = {f: 0x0c, n: 0x0a, r: 0x0d, t: 0x09, v: 0x0b}
+
+function fail (message) {
+  throw new SyntaxError(message)
+}
+
+function unsupported (what) {
+  fail(what + ' are not supported by the safe regex engine')
+}
+
+// Splits a string into code points if the `u` flag is set, or else into UTF-16
+// code units, as JavaScript does
+function codes (str, unicode) {
+  if (unicode) return Array.from(str, c => c.codePointAt(0))
+  const result = new Array(str.length)
+  for (let i = 0; i < str.length; i++) result[i] = str.charCodeAt(i)
+  return result
+}
+
+// Returns a version of `test` which also matches the other cases of a character
+function caseless (test) {
+  const folds = new Map()
+  const fold = c => {
+    if (!folds.has(c)) {
+      const s = String.fromCodePoint(c)
+      folds.set(c, [s.toLowerCase(), s.toUpperCase()].filter(x => x.length === s.length).map(x => x.codePointAt(0)))
+    }
+    return folds.get(c)
+  }
+  return c => test(c) || fold(c).some(test)
+}
+
+// Parses a pattern into a tree of character sets, sequences, alternatives,
+// repetitions, capture groups, and assertions
+function parse (pattern, flags) {
+  const unicode = flags.includes('u')
+  const ignoreCase = flags.includes('i')
+  const chars = codes(pattern, unicode)
+  const at = k => chars[k] === undefined ? '' : String.fromCodePoint(chars[k])
+  const names = new Map()
+  let i = 0
+  let groups = 0
+
+  const peek = () => at(i)
+  const eat = c => {
+    if (peek() !== c) return false
+    i++
+    return true
+  }
+  const set = (test, negate = false) => {
+    const t = ignoreCase ? caseless(test) : test
+    return {type: 'set', test: negate ? c => !t(c) : t}
+  }
+  const literal = c => set(x => x === c)
+
+  function hex (length) {
+    const digits = chars.slice(i, i + length).map(c => String.fromCodePoint(c)).join('')
+    if (digits.length !== length || !/^[0-9a-fA-F]+$/.test(digits)) return null
+    i += length
+    return parseInt(digits, 16)
+  }
+
+  // Returns either a code point or a character test
+  function escape (inClass) {
+    if (i >= chars.length) fail('\\ at end of pattern')
+    const c = at(i++)
+    const lower = c.toLowerCase()
+    if (lower in classEscapes) return c === lower ? classEscapes[c] : x => !classEscapes[lower](x)
+    if (c in controlEscapes) return controlEscapes[c]
+    if (c === 'b' && inClass) return 0x08
+    if (c === 'b' || c === 'B') {
+      if (inClass) fail('Invalid escape in character class')
+      return c
+    }
+    if (/[1-9]/.test(c)) unsupported('Backreferences')
+    if (c === 'k' && (unicode || peek() === '<')) unsupported('Backreferences')
+    if ((c === 'p' || c === 'P') && unicode) unsupported('Unicode property escapes')
+    if (c === '0') {
+      if (/[0-9]/.test(peek())) unsupported('Octal escapes')
+      return 0
+    }
+    if (c === 'c' && /[a-zA-Z]/.test(peek())) return chars[i++] % 32
+    if (c === 'x') {
+      const code = hex(2)
+      if (code !== null) return code
+    }
+    if (c === 'u') {
+      if (unicode && eat('{')) {
+        const start = i
+        while (/[0-9a-fA-F]/.test(peek())) i++
+        const code = parseInt(chars.slice(start, i).map(x => String.fromCodePoint(x)).join(''), 16)
+        if (!eat('}') || !(code <= 0x10ffff)) fail('Invalid Unicode escape')
+        return code
+      }
+      const code = hex(4)
+      if (code !== null) {
+        // In Unicode mode, an escaped surrogate pair is one code point
+        if (unicode && code >= 0xd800 && code <= 0xdbff && at(i) === '\\' && at(i + 1) === 'u') {
+          const k = i
+          i += 2
+          const low = hex(4)
+          if (low !== null && low >= 0xdc00 && low <= 0xdfff) return (code - 0xd800) * 0x400 + low - 0xdc00 + 0x10000
+          i = k
+        }
+        return code
+      }
+    }
+    if (unicode && !/[\^$\\.*+?()[\]{}|/-]/.test(c)) fail('Invalid escape `\\' + c + '`')
+    return chars[i - 1]
+  }
+
+  function characterClass () {
+    const negate = eat('^')
+    const tests = []
+    const atom = () => {
+      if (i >= chars.length) fail('Unterminated character class')
+      return eat('\\') ? escape(true) : chars[i++]
+    }
+    while (peek() !== ']') {
+      const from = atom()
+      if (peek() === '-' && at(i + 1) !== ']' && at(i + 1) !== '') {
+        i++
+        const to = atom()
+        if (typeof from === 'number' && typeof to === 'number') {
+          if (from > to) fail('Range out of order in character class')
+          tests.push(inRange(from, to))
+          continue
+        }
+        if (unicode) fail('Invalid character class range')
+        tests.push(typeof from === 'number' ? x => x === from : from, x => x === 0x2d, typeof to === 'number' ? x => x === to : to)
+        continue
+      }
+      tests.push(typeof from === 'number' ? x => x === from : from)
+    }
+    i++
+    return set(c => tests.some(test => test(c)), negate)
+  }
+
+  function quantifier () {
+    const c = peek()
+    let range
+    if (c === '*' || c === '+' || c === '?') {
+      i++
+      range = [c === '+' ? 1 : 0, c === '?' ? 1 : Infinity]
+    } else if (c === '{') {
+      const match = /^\{(\d+)(,(\d*))?\}/.exec(chars.slice(i, i + 40).map(x => String.fromCodePoint(x)).join(''))
+      if (!match) return null
+      i += match[0].length
+      range = [Number(match[1]), match[2] ? (match[3] ? Number(match[3]) : Infinity) : Number(match[1])]
+      if (range[0] > range[1]) fail('Numbers out of order in quantifier')
+    } else {
+      return null
+    }
+    return [...range, eat('?')]
+  }
+
+  function group () {
+    let capture = true
+    let name = null
+    if (eat('?')) {
+      if (peek() === '=' || peek() === '!') unsupported('Lookahead assertions')
+      if (eat('<')) {
+        if (peek() === '=' || peek() === '!') unsupported('Lookbehind assertions')
+        const start = i
+        while (peek() !== '>') if (i++ >= chars.length) fail('Invalid capture group name')
+        name = chars.slice(start, i++).map(c => String.fromCodePoint(c)).join('')
+        if (!name || names.has(name)) fail('Invalid capture group name')
+      } else if (eat(':')) {
+        capture = false
+      } else {
+        fail('Invalid group')
+      }
+    }
+    // Groups are numbered in the order in which they open
+    const index = capture ? ++groups : 0
+    if (name) names.set(name, index)
+    const body = alternation()
+    if (!eat(')')) fail('Unterminated group')
+    return capture ? {type: 'group', index, body} : body
+  }
+
+  function atom () {
+    const c = at(i++)
+    switch (c) {
+      case '^': case '$': return {type: 'assert', kind: c}
+      case '.': return set(flags.includes('s') ? () => true : x => !lineTerminators.includes(x))
+      case '(': return group()
+      case '[': return characterClass()
+      case '*': case '+': case '?': return fail('Nothing to repeat')
+      case '{':
+        i--
+        if (unicode || quantifier()) fail('Nothing to repeat')
+        i++
+        break
+      case '\\': {
+        const e = escape(false)
+        if (e === 'b' || e === 'B') return {type: 'assert', kind: e}
+        return typeof e === 'number' ? literal(e) : set(e)
+      }
+    }
+    return literal(chars[i - 1])
+  }
+
+  function term () {
+    const firstGroup = groups + 1
+    const node = atom()
+    const range = quantifier()
+    if (!range) return node
+    if (node.type === 'assert') fail('Nothing to repeat')
+    // The groups inside a repetition are cleared before each repeat
+    const [min, max, lazy] = range
+    return {type: 'repeat', body: node, min, max, lazy, groups: [firstGroup, groups]}
+  }
+
+  function alternation () {
+    const options = []
+    do {
+      const items = []
+      while (i < chars.length && peek() !== '|' && peek() !== ')') items.push(term())
+      options.push({type: 'sequence', items})
+    } while (eat('|'))
+    return options.length === 1 ? options[0] : {type: 'alternation', options}
+  }
+
+  const tree = alternation()
+  if (i < chars.length) fail('Unmatched `)`')
+  return {tree, groups, names}
+}
+
+// Turns the tree into a list of states. Each state either consumes a
+// character that passes its `test`, checks an assertion, records the position
+// of a capture group's start or end, clears capture groups, or splits into
+// several states (in order of preference) without consuming anything.
+function automaton (tree) {
+  const states = [{match: true}]
+  let work = 0
+  const add = state => {
+    if (states.push(state) > maxStates) fail('The regular expression is too large for the safe regex engine')
+    return states.length - 1
+  }
+
+  function build (node, next) {
+    if (++work > maxStates) fail('The regular expression is too large for the safe regex engine')
+    switch (node.type) {
+      case 'set': return add({test: node.test, next})
+      case 'assert': return add({assert: node.kind, next})
+      case 'group': return add({save: node.index * 2, next: build(node.body, add({save: node.index * 2 + 1, next}))})
+      case 'sequence': return node.items.reduceRight((n, item) => build(item, n), next)
+      case 'alternation': return add({split: node.options.map(option => build(option, next))})
+      case 'repeat': {
+        const [first, last] = node.groups
+        const body = n => first <= last ? add({clear: [first * 2, last * 2 + 2], next: build(node.body, n)}) : build(node.body, n)
+        const choice = (again, done) => node.lazy ? [done, again] : [again, done]
+        let entry = next
+        if (node.max === Infinity) {
+          entry = add({split: []})
+          states[entry].split = choice(body(entry), next)
+        } else {
+          for (let k = node.min; k < node.max; k++) entry = add({split: choice(body(entry), next)})
+        }
+        for (let k = 0; k < node.min; k++) entry = body(entry)
+        return entry
+      }
+    }
+  }
+
+  return {states, start: build(tree, 0)}
+}
+
+// Compiles a regex into a function which finds its first match in a list of
+// character codes, starting at the index `from`. The match is returned as a
+// list of the start and end indexes of the match and of each capture group
+// (or -1 for groups which didn't match), or null if there is no match.
+function matcher (pattern, flags) {
+  if (!supportedFlags.test(flags)) fail('The safe regex engine doesn’t support the flags `' + flags + '`')
+  const {tree, groups, names} = parse(pattern, flags)
+  const {states, start} = automaton(tree)
+  const multiline = flags.includes('m')
+  const slotCount = groups * 2 + 2
+
+  function search (input, from, sticky) {
+    const isLineTerminator = k => lineTerminators.includes(input[k])
+    const isWord = k => k >= 0 && k < input.length && word(input[k])
+    const assertions = {
+      '^': pos => pos === 0 || (multiline && isLineTerminator(pos - 1)),
+      '$': pos => pos === input.length || (multiline && isLineTerminator(pos)),
+      b: pos => isWord(pos - 1) !== isWord(pos),
+      B: pos => isWord(pos - 1) === isWord(pos),
+    }
+    // The positions at which each state was last added, plus one
+    const marks = new Float64Array(states.length)
+
+    // Adds a state to the list of threads for `pos`, following the states
+    // that don't consume anything. Threads which reach a state first have
+    // priority, so the preferred branch of a split is followed first.
+    const follow = (list, state, slots, pos) => {
+      const stack = [[state, slots]]
+      while (stack.length) {
+        const [s, caps] = stack.pop()
+        if (marks[s] === pos + 1) continue
+        marks[s] = pos + 1
+        const {split, assert, save, clear, next} = states[s]
+        if (split) {
+          for (let k = split.length - 1; k >= 0; k--) stack.push([split[k], caps])
+        } else if (assert) {
+          if (assertions[assert](pos)) stack.push([next, caps])
+        } else if (typeof save === 'number') {
+          const copy = caps.slice()
+          copy[save] = pos
+          stack.push([next, copy])
+        } else if (clear) {
+          stack.push([next, caps.slice().fill(-1, clear[0], clear[1])])
+        } else {
+          list.push([s, caps])
+        }
+      }
+    }
+
+    let match = null
+    let threads = []
+    for (let pos = from; pos <= input.length; pos++) {
+      // A thread which starts later has a lower priority than the others
+      if (!match && (!sticky || pos === from)) {
+        const slots = new Array(slotCount).fill(-1)
+        slots[0] = pos
+        follow(threads, start, slots, pos)
+      }
+      if (!threads.length && (match || sticky)) break
+      const next = []
+      for (const [s, caps] of threads) {
+        const state = states[s]
+        if (state.match) {
+          // Threads with a lower priority than a match are dropped
+          match = caps.slice()
+          match[1] = pos
+          break
+        }
+        if (pos < input.length && state.test(input[pos])) follow(next, state.next, caps, pos + 1)
+      }
+      threads = next
+    }
+    return match
+  }
+
+  return {search, names}
+}
+
+// The offsets in `str` of the characters in the list of codes from codes()
+function offsets (str, input, unicode) {
+  if (!unicode) return null
+  const result = new Array(input.length + 1)
+  let offset = 0
+  for (let k = 0; k < input.length; k++) {
+    result[k] = offset
+    offset += input[k] > 0xffff ? 2 : 1
+  }
+  result[input.length] = offset
+  return result
+}
+
+// The index of the character at an offset. With the `u` flag, an offset inside
+// a surrogate pair is the index of the pair.
+function codeIndex (offsets, offset) {
+  let lo = 0
+  let hi = offsets.length - 1
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2)
+    if (offsets[mid] <= offset) lo = mid
+    else hi = mid - 1
+  }
+  return lo
+}
+
+const toLength = x => Math.min(Math.max(Math.trunc(Number(x)) || 0, 0), Number.MAX_SAFE_INTEGER)
+
+// A regex which runs on the safe engine. `exec` is used by the string methods
+// that accept regexes (`match`, `matchAll`, `replace`, and `search`), and `split`
+// has its own version which finds each match in one pass. `test` doesn't use
+// `lastIndex`, so that one regex can be shared by several scripts: the `g` and
+// `y` flags make no difference to it, except that `y` anchors the match to the
+// start of the string.
+class SafeRegExp extends RegExp {
+  constructor (pattern, flags) {
+    if (pattern instanceof RegExp) {
+      if (typeof flags === 'undefined') flags = pattern.flags
+      pattern = pattern.source
+    }
+    flags = typeof flags === 'undefined' ? '' : String(flags)
+    const compiled = matcher(String(pattern), flags)
+    super(pattern, flags)
+    Object.defineProperty(this, 'safeMatcher', {value: compiled})
+    Object.defineProperty(this, 'lastInput', {value: {}})
+  }
+
+  // Converts a string into character codes, remembering the last one since
+  // `exec` is often called on the same string many times
+  safeInput (str) {
+    const last = this.lastInput
+    if (last.str !== str) {
+      last.str = str
+      last.input = codes(str, this.unicode)
+      last.offsets = offsets(str, last.input, this.unicode)
+    }
+    return last
+  }
+
+  // Returns the match as an array of string offsets
+  safeSearch (str, from, sticky) {
+    const {input, offsets} = this.safeInput(str)
+    const match = this.safeMatcher.search(input, offsets ? codeIndex(offsets, from) : from, sticky)
+    return match && offsets ? match.map(k => k < 0 ? k : offsets[k]) : match
+  }
+
+  test (str) {
+    return !!this.safeSearch(String(str), 0, this.sticky)
+  }
+
+  exec (str) {
+    str = String(str)
+    const global = this.global || this.sticky
+    const lastIndex = global ? toLength(this.lastIndex) : 0
+    const match = lastIndex <= str.length ? this.safeSearch(str, lastIndex, this.sticky) : null
+    if (!match) {
+      if (global) this.lastIndex = 0
+      return null
+    }
+    if (global) this.lastIndex = match[1]
+    const substring = k => match[k * 2] < 0 ? undefined : str.slice(match[k * 2], match[k * 2 + 1])
+    const indices = k => match[k * 2] < 0 ? undefined : [match[k * 2], match[k * 2 + 1]]
+    const {names} = this.safeMatcher
+    const named = get => {
+      if (!names.size) return undefined
+      const result = Object.create(null)
+      for (const [name, k] of names) result[name] = get(k)
+      return result
+    }
+    const result = Array.from({length: match.length / 2}, (x, k) => substring(k))
+    result.index = match[0]
+    result.input = str
+    result.groups = named(substring)
+    if (this.hasIndices) {
+      result.indices = Array.from({length: match.length / 2}, (x, k) => indices(k))
+      result.indices.groups = named(indices)
+    }
+    return result
+  }
+
+  // Follows the steps of RegExp.prototype[Symbol.split], but searches for each
+  // separator instead of trying to match one at every position
+  [Symbol.split] (str, limit) {
+    str = String(str)
+    const max = typeof limit === 'undefined' ? 2 ** 32 - 1 : limit >>> 0
+    const result = []
+    if (max === 0) return result
+    if (!str.length) return this.safeSearch(str, 0, true) ? result : [str]
+    const advance = q => q + (this.unicode && str.codePointAt(q) > 0xffff ? 2 : 1)
+    let p = 0
+    let q = 0
+    while (q < str.length) {
+      const match = this.safeSearch(str, q, false)
+      if (!match || match[0] >= str.length) break
+      if (match[1] === p) {
+        q = advance(match[0])
+        continue
+      }
+      result.push(str.slice(p, match[0]))
+      if (result.length === max) return result
+      for (let k = 2; k < match.length; k += 2) {
+        result.push(match[k] < 0 ? undefined : str.slice(match[k], match[k + 1]))
+        if (result.length === max) return result
+      }
+      p = match[1]
+      q = p
+    }
+    result.push(str.slice(p))
+    return result
+  }
+}
+const converted = new WeakMap()
+
+// Returns a safe version of a native regex
+function toSafeRegExp (regex) {
+  if (regex instanceof SafeRegExp) return regex
+  if (!converted.has(regex)) converted.set(regex, new SafeRegExp(regex.source, regex.flags))
+  return converted.get(regex)
+}
+
+module.exports = {SafeRegExp, toSafeRegExp}
@@ -0,0 +1,146 @@
+'use strict'
+
+const styles = ['inline', 'multiline']
+const levels = {Let: -1, Ternary: 0, Logical: 1, Comparison: 2, Coalesce: 3, Math: 4}
+const primary = 5
+
+// The node types after which the parser looks for properties and calls
+const chainable = ['Array', 'Call', 'Date', 'DefaultLeft', 'Duration', 'Function', 'Group', 'Identifier', 'Member', 'String', 'Variable']
+
+const plainName = /^[a-zA-Z0-9_]+$/
+const level = node => node.type in levels ? levels[node.type] : primary
+
+// A binding's value ends at the first `in` outside of parentheses, so values
+// with one of these operators outside of a group are put in parentheses.
+const inOperators = ['in', 'not in', 'any in', 'all in', '!any in', '!all in']
+function endsBinding (node) {
+  if (node.type === 'Let' || (node.type === 'Comparison' && inOperators.includes(node.operator))) return true
+  return ['left', 'right', 'test', 'consequent', 'alternate'].some(key => node[key] && endsBinding(node[key]))
+}
+
+function escape (str, chars, what) {
+  if (str.endsWith('\\')) throw new TypeError(what + ' cannot end with a backslash')
+  return str.replace(new RegExp('[' + chars + ']', 'g'), c => '\\' + c)
+}
+
+// Numbers are written without exponents, since the parser doesn't read them
+function decimal (n) {
+  const str = String(n)
+  if (!str.includes('e')) return str
+  const [, sign, int, fraction = '', exponent] = str.match(/^(-?)(\d)(?:\.(\d+))?e([+-]\d+)$/)
+  const digits = int + fraction
+  const point = 1 + Number(exponent)
+  if (point <= 0) return sign + '0.' + '0'.repeat(-point) + digits
+  return sign + digits + '0'.repeat(point - digits.length)
+}
+
+function string (value) {
+  const quote = value.includes('"') && !value.includes("'") ? "'" : '"'
+  return quote + escape(value, quote, 'Strings') + quote
+}
+
+// Writes a variable or property name using the shortest form that the
+// `identifier` grammar will read back as the same name.
+function name (str) {
+  if (plainName.test(str)) return str
+  return '{' + escape(str, '{}', 'Names') + '}'
+}
+
+// Turns a syntax tree back into a script. In multiline style, chains of
+// logical operators which don't fit within `lineWidth` are split so that each
+// operand is on its own line.
+module.exports = function stringify (ast, {style = 'inline', indent = '  ', lineWidth = 80} = {}) {
+  if (!styles.includes(style)) throw new TypeError('Unrecognized style `' + style + '`')
+
+  // Parentheses are added where the parser wouldn't otherwise produce `node`
+  function operand (node, minLevel, depth) {
+    const str = print(node, depth)
+    return level(node) < minLevel ? '(' + str + ')' : str
+  }
+
+  function binary (left, operator, right) {
+    return (left ? left + ' ' : '') + operator + ' ' + right
+  }
+
+  function chainRoot (node, depth) {
+    const str = print(node, depth)
+    return chainable.includes(node.type) ? str : '(' + str + ')'
+  }
+
+  function variable (node, depth, beforeCall) {
+    if (node.computed) return '$(' + print(node.name, depth) + ')'
+    if (node.name === '') return beforeCall ? '${}' : '$'
+    return '$' + name(node.name)
+  }
+
+  function logical (node, depth) {
+    const operands = [node.right]
+    const operators = [node.operator]
+    let first = node.left
+    while (first.type === 'Logical') {
+      operands.unshift(first.right)
+      operators.unshift(first.operator)
+      first = first.left
+    }
+
+    const join = (separator, d) => operands.reduce((str, right, i) => {
+      return (str ? str + separator : '') + operators[i] + ' ' + operand(right, levels.Comparison, d)
+    }, operand(first, levels.Logical, d))
+
+    const inline = join(' ', depth)
+    if (style !== 'multiline' || (indent.length * depth) + inline.length <= lineWidth) return inline
+    return join('\n' + indent.repeat(depth + 1), depth + 1)
+  }
+
+  // Nested bindings are written as one `let` with a list of bindings
+  function binding (node, depth) {
+    if (!plainName.test(node.name)) throw new TypeError('Invalid binding name `' + node.name + '`')
+    const value = print(node.value, depth)
+    const rest = node.body.type === 'Let' ? ', ' + binding(node.body, depth) : ' in ' + print(node.body, depth)
+    return node.name + ' = ' + (endsBinding(node.value) ? '(' + value + ')' : value) + rest
+  }
+
+  function print (node, depth = 0) {
+    switch (node.type) {
+      case 'Let': return 'let ' + binding(node, depth)
+      case 'Ternary':
+        return operand(node.test, levels.Logical, depth) + ' ? ' + print(node.consequent, depth) + ' : ' + print(node.alternate, depth)
+      case 'Logical': return logical(node, depth)
+      case 'Comparison':
+        return binary(operand(node.left, levels.Comparison, depth), node.operator, operand(node.right, levels.Coalesce, depth))
+      case 'Coalesce':
+        return binary(operand(node.left, levels.Coalesce, depth), node.operator, operand(node.right, levels.Math, depth))
+      case 'Math':
+        return binary(operand(node.left, levels.Math, depth), node.operator, operand(node.right, primary, depth))
+      case 'Group': return '(' + print(node.expression, depth) + ')'
+      case 'Not': return '!' + operand(node.argument, primary, depth)
+      case 'Debug': return 'debug ' + operand(node.argument, primary, depth)
+      case 'Call': {
+        const callee = node.callee.type === 'Variable' ? variable(node.callee, depth, true) : chainRoot(node.callee, depth)
+        return callee + (node.optional ? '?.(' : '(') + node.arguments.map(arg => print(arg, depth)).join(', ') + ')'
+      }
+      case 'Member': {
+        // `?.(` is an optional call, so there is no optional form of `.(expr)`
+        if (node.optional && node.computed) throw new TypeError('Computed properties cannot be optional')
+        // `?.` followed by a digit would be read as a ternary
+        const property = node.computed ? '(' + print(node.property, depth) + ')' : node.optional && /^[0-9]/.test(node.property) ? '{' + node.property + '}' : name(node.property)
+        return chainRoot(node.object, depth) + (node.optional ? '?.' : '.') + property
+      }
+      case 'Variable': return variable(node, depth)
+      case 'Identifier': return node.name
+      case 'Function': return '(' + node.params.join(', ') + '){' + print(node.body, depth) + '}'
+      case 'Array': return '[' + node.elements.map(element => print(element, depth)).join(', ') + ']'
+      case 'String': return string(node.value)
+      case 'Boolean': return String(node.value)
+      case 'Null': return 'null'
+      case 'Number': return typeof node.value === 'string' ? node.value : decimal(node.value)
+      case 'Regex': return '@' + escape(node.pattern, '@', 'Regular expressions') + '@' + node.flags
+      case 'Date': return '#' + node.value + '#'
+      case 'Duration': return node.value
+      case 'DefaultLeft': return ''
+    }
+    throw new TypeError('Unhandled node type `' + node.type + '`')
+  }
+
+  return print(ast)
+}
@@ -0,0 +1,47 @@
+'use strict'
+
+const {Duration, parseDate} = require('./dates')
+
+const u = x => typeof x === 'undefined'
+
+const monthUnits = [['y', 12], ['mo', 1]]
+const millisecondUnits = [['d', 86400000], ['h', 3600000], ['m', 60000], ['s', 1000], ['ms', 1]]
+
+function units (n, list) {
+  return list.reduce((str, [unit, size]) => {
+    const amount = unit === list[list.length - 1][0] ? n : Math.floor(n / size)
+    n -= amount * size
+    return amount ? str + amount + unit : str
+  }, '')
+}
+
+function duration ({months, milliseconds}) {
+  if ((months < 0 && milliseconds > 0) || (months > 0 && milliseconds < 0)) return null
+  if (!Number.isInteger(months) || [milliseconds].some(n => String(n).includes('e'))) return null
+  const sign = months < 0 || milliseconds < 0 ? '-' : ''
+  const value = units(Math.abs(months), monthUnits) + units(Math.abs(milliseconds), millisecondUnits)
+  return {type: 'Duration', value: sign + (value || '0ms')}
+}
+
+// Returns a literal node with the given value, or null if there isn't one
+module.exports = function toLiteral (value, defaultLeft) {
+  if (value === null) return {type: 'Null'}
+  switch (typeof value) {
+    case 'boolean': return {type: 'Boolean', value}
+    case 'string': return value.endsWith('\\') ? null : {type: 'String', value}
+    case 'number':
+      if (Number.isNaN(value)) return null
+      if (Object.is(value, -0)) return {type: 'Number', value: '-0'}
+      return {type: 'Number', value: Number.isFinite(value) ? value : String(value)}
+  }
+  if (value instanceof RegExp) return {type: 'Regex', pattern: value.source, flags: value.flags}
+  if (value instanceof Date) return parseDate(value.toISOString()) ? {type: 'Date', value: value.toISOString()} : null
+  if (value instanceof Duration) return duration(value)
+  if (Array.isArray(value)) {
+    // Array elements are compared to defaultLeft, like other expressions
+    if (!u(defaultLeft) && value.some(element => typeof element !== 'boolean')) return null
+    const elements = value.map(element => toLiteral(element, defaultLeft))
+    return elements.includes(null) ? null : {type: 'Array', elements}
+  }
+  return null
+}
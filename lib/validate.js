@@ -0,0 +1,214 @@
+'use strict'
+
+const {Duration} = require('./dates')
+const {ConscriptRuntimeError, ConscriptSchemaError} = require('./errors')
+const {findMethod, methodRegistry} = require('./methods')
+const {customOperators} = require('./operators')
+const {accessArrayProp, accessObjectProp, applyComparisonOperator, applyMathOperator, callFunction} = require('./runtime')
+
+const any = {type: 'any'}
+const numericMathOps = ['-', '*', '/', '%', '^']
+const typeNames = ['any', 'array', 'boolean', 'date', 'duration', 'function', 'null', 'number', 'object', 'regex', 'string']
+
+function normalize (schema) {
+  if (Array.isArray(schema)) return {type: 'array', items: normalize(schema.length ? schema[0] : 'any')}
+  if (schema && typeof schema === 'object') {
+    const properties = {}
+    for (const [key, value] of Object.entries(schema)) properties[key] = normalize(value)
+    return {type: 'object', properties}
+  }
+  if (!typeNames.includes(schema)) throw new TypeError('Unrecognized schema type `' + schema + '`')
+  return {type: schema}
+}
+
+// A representative value of a type, used to run the same operator
+// implementations that are used at runtime.
+function sample (t) {
+  switch (t.type) {
+    case 'array': return t.items.type === 'any' ? [] : [sample(t.items)]
+    case 'boolean': return true
+    case 'date': return new Date(0)
+    case 'duration': return new Duration({milliseconds: 1})
+    case 'function': return () => {}
+    case 'null': return null
+    case 'number': return 1
+    case 'object': {
+      const obj = {}
+      for (const [key, value] of Object.entries(t.properties || {})) obj[key] = sample(value)
+      return obj
+    }
+    case 'regex': return /a/
+    case 'string': return 'a'
+  }
+}
+
+function typeOf (value) {
+  if (Array.isArray(value)) return {type: 'array', items: value.length ? typeOf(value[0]) : any}
+  if (value === null) return {type: 'null'}
+  if (value instanceof RegExp) return {type: 'regex'}
+  if (value instanceof Date) return {type: 'date'}
+  if (value instanceof Duration) return {type: 'duration'}
+  switch (typeof value) {
+    case 'function': return {type: 'function', value}
+    case 'boolean': case 'number': case 'string': return {type: typeof value}
+    case 'object': return {type: 'object'}
+  }
+  return any
+}
+
+// Module rules can produce any type of value
+const libraryType = entry => entry.rule ? any : {type: 'function'}
+
+const same = (a, b) => (a.type === b.type && a.type !== 'object' && a.type !== 'array') ? a : any
+
+// An optional link (`?.`) on null skips the rest of the chain, which then
+// evaluates to null.
+const skipped = {type: 'null', skipped: true}
+const skips = (node, object) => object === skipped || (node.optional === true && object.type === 'null')
+
+module.exports = function validate (ast, {library, methods, operators, safe, safeCall = safe, safeNav = safe, safeOp = safe, schema = {}, unknownsAre} = {}, source) {
+  const vars = normalize(schema)
+  const custom = customOperators(operators)
+  const registry = methodRegistry(methods)
+  const errors = []
+
+  function report (message, {start, end}) {
+    errors.push(new ConscriptSchemaError(message, {source, start, end}))
+    return any
+  }
+
+  // Runs an operation on sample values, reporting the errors it throws
+  function simulate (node, types, operation) {
+    if (types.some(t => t.type === 'any')) return any
+    try {
+      return typeOf(operation(...types.map(sample)))
+    } catch (e) {
+      if (e instanceof ConscriptRuntimeError) return report(e.message, node)
+      return any
+    }
+  }
+
+  // Library entries are looked up before variables, so a variable in the
+  // schema with the same name as one can't be read
+  function libraryEntry (name, node) {
+    const entry = library && library.get(name)
+    if (entry && Object.prototype.hasOwnProperty.call(vars.properties, name)) {
+      report('The `' + name + '` variable is hidden by the library ' + (entry.rule ? 'rule' : 'function') + ' of the same name', node)
+    }
+    return entry
+  }
+
+  function lookup (name, scope, node) {
+    if (scope.has(name)) return scope.get(name)
+    const entry = libraryEntry(name, node)
+    if (entry) return libraryType(entry)
+    if (name === '') return {...vars, root: true}
+    if (Object.prototype.hasOwnProperty.call(vars.properties, name)) return vars.properties[name]
+    return report('Unknown variable: `' + name + '`', node)
+  }
+
+  function chain (node, scope, accessProp) {
+    switch (node.type) {
+      case 'Identifier': return lookup(node.name, scope, node)
+      case 'Variable':
+        if (!node.computed) return lookup(node.name, scope, node)
+        check(node.name, scope)
+        return any
+      case 'Member': {
+        const object = chain(node.object, scope, accessProp)
+        if (skips(node, object)) return skipped
+        if (node.computed) {
+          check(node.property, scope)
+          return any
+        }
+        const prop = node.property
+        if (object.type === 'object' && object.properties) {
+          if (Object.prototype.hasOwnProperty.call(object.properties, prop)) return object.properties[prop]
+          if (!object.root && findMethod(registry, {}, prop)) return simulate(node, [object], x => accessProp(() => x, prop, safeNav, {}, registry))
+          return report((object.root ? 'Unknown variable: `' : 'Unknown property: `') + prop + '`', node)
+        }
+        if (object.type === 'object' || object.type === 'regex') return any
+        return simulate(node, [object], x => accessProp(() => x, prop, safeNav, {}, registry))
+      }
+      case 'Call': {
+        const callee = chain(node.callee, scope, accessProp)
+        if (skips(node, callee)) return skipped
+        const funcArgs = node.arguments.map(arg => check(arg, scope))
+        if (callee.type === 'function') {
+          // Callbacks can't be simulated, so only plain built-in methods are run
+          if (!callee.value || funcArgs.some(t => t.type === 'function' || t.type === 'any')) return any
+          try {
+            return typeOf(callee.value(...funcArgs.map(sample)))
+          } catch (e) {
+            return any
+          }
+        }
+        const {callee: {name}} = node
+        return simulate(node, [callee], x => callFunction(name, () => x, [], safeCall))
+      }
+    }
+    return check(node, scope)
+  }
+
+  function check (node, scope) {
+    switch (node.type) {
+      case 'Ternary':
+        check(node.test, scope)
+        return same(check(node.consequent, scope), check(node.alternate, scope))
+      case 'Logical': return same(check(node.left, scope), check(node.right, scope))
+      case 'Coalesce': {
+        const left = check(node.left, scope)
+        const right = check(node.right, scope)
+        return left.type === 'null' ? right : same(left, right)
+      }
+      case 'Comparison': {
+        const types = [check(node.left, scope), check(node.right, scope)]
+        return simulate(node, types, (l, r) => applyComparisonOperator(() => l, node.operator, () => r, safeOp, {}, custom)([]))
+      }
+      case 'Math': {
+        const types = [check(node.left, scope), check(node.right, scope)]
+        if (!safeOp && numericMathOps.includes(node.operator) && types.some(t => t.type === 'boolean' || t.type === 'null')) {
+          return report('Cannot perform ' + node.operator + ' operation on a non-number', node)
+        }
+        return simulate(node, types, (l, r) => applyMathOperator(() => l, node.operator, () => r, safeOp, {}, custom)([]))
+      }
+      case 'Not': check(node.argument, scope); return {type: 'boolean'}
+      case 'Debug': return check(node.argument, scope)
+      case 'Group': return check(node.expression, scope)
+      case 'Function':
+        check(node.body, new Map([...scope, ...node.params.filter(Boolean).map(param => [param, any])]))
+        return {type: 'function'}
+      case 'Let': return check(node.body, new Map([...scope, [node.name, check(node.value, scope)]]))
+      case 'Call': case 'Member': case 'Variable': {
+        let root = node
+        while (root.type === 'Call' || root.type === 'Member') root = root.type === 'Call' ? root.callee : root.object
+        return chain(node, scope, (root.type === 'Array' || root.type === 'String') ? accessArrayProp : accessObjectProp)
+      }
+      case 'Identifier': {
+        if (scope.has(node.name)) return scope.get(node.name)
+        const entry = libraryEntry(node.name, node)
+        if (entry) return libraryType(entry)
+        if (Object.prototype.hasOwnProperty.call(vars.properties, node.name)) return vars.properties[node.name]
+        switch (unknownsAre) {
+          case 'errors': case 'err': return report('Unknown variable: `' + node.name + '`', node)
+          case 'null': case null: return {type: 'null'}
+        }
+        return {type: 'string'}
+      }
+      case 'Array': {
+        const elements = node.elements.map(element => check(element, scope))
+        return {type: 'array', items: elements.length ? elements.reduce(same) : any}
+      }
+      case 'Boolean': case 'String': return {type: node.type.toLowerCase()}
+      case 'Number': return {type: 'number'}
+      case 'Null': return {type: 'null'}
+      case 'Regex': return {type: 'regex'}
+      case 'Date': return {type: 'date'}
+      case 'Duration': return {type: 'duration'}
+    }
+    return any
+  }
+
+  check(ast, new Map())
+  return errors
+}
@@ -0,0 +1,68 @@
+'use strict'
+
+const {SafeRegExp} = require('./safe-regex')
+
+// Wildcard patterns are translated into regexes for the safe regex engine, so
+// that matching them takes linear time. Every character which isn't a letter
+// or digit is written as a Unicode escape, so it can't have a special meaning.
+const literal = c => /[a-zA-Z0-9]/.test(c) ? c : '\\u{' + c.codePointAt(0).toString(16) + '}'
+
+// Translates an SQL `LIKE` pattern, in which `%` matches any text, `_` matches
+// any one character, and a backslash makes the next character literal
+function like (pattern) {
+  const chars = Array.from(pattern)
+  let source = ''
+  for (let i = 0; i < chars.length; i++) {
+    const c = chars[i]
+    if (c === '\\' && i + 1 < chars.length) source += literal(chars[++i])
+    else if (c === '%') source += '[^]*'
+    else if (c === '_') source += '[^]'
+    else source += literal(c)
+  }
+  return source
+}
+
+// Translates a glob pattern, in which `*` matches any text within a path
+// segment, `**` matches any number of whole segments, `?` matches any one
+// character other than `/`, `[abc]` or `[a-c]` matches one of a set of
+// characters, and `[!abc]` matches any other character
+function glob (pattern) {
+  const chars = Array.from(pattern)
+  let source = ''
+  for (let i = 0; i < chars.length; i++) {
+    const c = chars[i]
+    if (c === '\\' && i + 1 < chars.length) {
+      source += literal(chars[++i])
+    } else if (c === '*' && chars[i + 1] === '*') {
+      const segment = (i === 0 || chars[i - 1] === '/') && chars[i + 2] === '/'
+      source += segment ? '(?:[^]*/)?' : '[^]*'
+      i += segment ? 2 : 1
+    } else if (c === '*') {
+      source += '[^/]*'
+    } else if (c === '?') {
+      source += '[^/]'
+    } else if (c === '[' && chars.indexOf(']', i + 2) > 0) {
+      const end = chars.indexOf(']', i + 2)
+      const negate = chars[i + 1] === '!' || chars[i + 1] === '^'
+      const members = chars.slice(negate ? i + 2 : i + 1, end)
+      let set = ''
+      for (let k = 0; k < members.length; k++) {
+        set += members[k + 1] === '-' && k + 2 < members.length ? literal(members[k]) + '-' + literal(members[k += 2]) : literal(members[k])
+      }
+      source += negate ? '[^/' + set + ']' : '[' + set + ']'
+      i = end
+    } else {
+      source += literal(c)
+    }
+  }
+  return source
+}
+
+const translators = {like, glob}
+
+// Returns a regex that tests whether a whole string matches a pattern
+function wildcardRegExp (type, pattern, ignoreCase = false) {
+  return new SafeRegExp('^(?:' + translators[type](pattern) + ')$', ignoreCase ? 'iu' : 'u')
+}
+
+module.exports = wildcardRegExp
@@ -2,6 +2,17 @@
 
 const assert = require('assert')
 const conscript = require('.')
+const {ConscriptLimitError, ConscriptRuntimeError, ConscriptSchemaError, ConscriptSyntaxError} = conscript
+
+function withoutPositions (node) {
+  if (Array.isArray(node)) return node.map(withoutPositions)
+  if (!node || typeof node !== 'object') return node
+  const copy = {}
+  for (const [key, value] of Object.entries(node)) {
+    if (key !== 'start' && key !== 'end') copy[key] = withoutPositions(value)
+  }
+  return copy
+}
 
 describe('conscript()', function () {
   const trueStatements = [
@@ -258,6 +269,13 @@ describe('conscript()', function () {
     assert.strictEqual(conscript()('("1)" = "1)")')(), true)
   })
 
+  it('should support escaped delimiters', function () {
+    assert.strictEqual(conscript()('"a\\"b" = \'a"b\' & \'it\\\'s\' = "it\'s"')(), true)
+    assert.strictEqual(conscript()('"a\\"=1" ^= "a"')(), true)
+    assert.strictEqual(conscript()('a.{b\\}c} = 1')({a: {'b}c': 1}}), true)
+    assert.strictEqual(conscript()('"a@b" matches @a\\@b@', {allowRegexLiterals: true})(), true)
+  })
+
   it('should ignore things in brackets', function () {
     assert.strictEqual(conscript()('a.{a?b:"["]\\}} is null', {safe: true})(), true)
   })
@@ -324,3 +342,1731 @@ describe('conscript()', function () {
     assert.strictEqual(conscript()('then "ing" = "testing"')({}, {defaultLeft: 'test'}), true)
   })
 })
+
+describe('conscript().parse()', function () {
+  it('should return a syntax tree', function () {
+    assert.deepStrictEqual(withoutPositions(conscript().parse('$age >= 18 & user.name ^= "J"')), {
+      type: 'Logical',
+      operator: '&',
+      left: {
+        type: 'Comparison',
+        operator: '>=',
+        left: {type: 'Variable', name: 'age'},
+        right: {type: 'Number', value: 18},
+      },
+      right: {
+        type: 'Comparison',
+        operator: '^=',
+        left: {type: 'Member', object: {type: 'Identifier', name: 'user'}, property: 'name'},
+        right: {type: 'String', value: 'J'},
+      },
+    })
+  })
+
+  it('should parse ternaries, calls, and function literals', function () {
+    assert.deepStrictEqual(withoutPositions(conscript().parse('x ? [1].map((n){n*2}) : $(y)')), {
+      type: 'Ternary',
+      test: {type: 'Identifier', name: 'x'},
+      consequent: {
+        type: 'Call',
+        callee: {type: 'Member', object: {type: 'Array', elements: [{type: 'Number', value: 1}]}, property: 'map'},
+        arguments: [{
+          type: 'Function',
+          params: ['n'],
+          body: {type: 'Math', operator: '*', left: {type: 'Identifier', name: 'n'}, right: {type: 'Number', value: 2}},
+        }],
+      },
+      alternate: {type: 'Variable', computed: true, name: {type: 'Identifier', name: 'y'}},
+    })
+  })
+
+  it('should represent omitted left operands', function () {
+    assert.deepStrictEqual(withoutPositions(conscript().parse('is string')), {
+      type: 'Comparison',
+      operator: 'is',
+      left: {type: 'DefaultLeft'},
+      right: {type: 'Identifier', name: 'string'},
+    })
+  })
+
+  it('should only parse regex literals if `allowRegexLiterals` is set', function () {
+    assert.deepStrictEqual(conscript({allowRegexLiterals: true}).parse('@^a@i'), {type: 'Regex', pattern: '^a', flags: 'i', start: 0, end: 5})
+    assert.throws(() => conscript().parse('@^a@i'), SyntaxError)
+  })
+
+  it('should record the source offsets of each node', function () {
+    const ast = conscript().parse('  $x.y >= (1 + 2)')
+    assert.deepStrictEqual([ast.start, ast.end], [2, 17])
+    assert.deepStrictEqual([ast.left.start, ast.left.end], [2, 6])
+    assert.deepStrictEqual([ast.left.object.start, ast.left.object.end], [2, 4])
+    assert.deepStrictEqual([ast.right.start, ast.right.end], [10, 17])
+    assert.deepStrictEqual([ast.right.expression.right.start, ast.right.expression.right.end], [15, 16])
+  })
+
+  it('should produce a tree that survives JSON serialization', function () {
+    const c = conscript()
+    for (const script of ['-0 != 0', '∞ > 0', '-∞ < 0', '(x){x=1}(1)', 'debug ($x=1)']) {
+      const ast = JSON.parse(JSON.stringify(c.parse(script)))
+      assert.strictEqual(c.evaluate(ast, {x: 1}), true)
+    }
+  })
+})
+
+describe('conscript().evaluate()', function () {
+  it('should evaluate a syntax tree', function () {
+    const c = conscript()
+    assert.strictEqual(c.evaluate(c.parse('a.b = 1'), {a: {b: 1}}), true)
+    assert.strictEqual(c.evaluate({type: 'Comparison', operator: '>', left: {type: 'Variable', name: 'x'}, right: {type: 'Number', value: 1}}, {x: 2}), true)
+  })
+
+  it('should accept `defaultLeft` alongside the global options', function () {
+    const c = conscript()
+    assert.strictEqual(c.evaluate(c.parse('>2 & <4'), {}, {defaultLeft: 3}), true)
+    assert.strictEqual(c.evaluate(c.parse('unknown'), {}, {unknownsAre: 'null'}), null)
+  })
+
+  it('should expose function parameters inside parentheses', function () {
+    assert.strictEqual(conscript()('(x){(x=1)}(1)')(), true)
+  })
+})
+
+describe('Errors', function () {
+  it('should throw a `ConscriptSyntaxError` with the location of invalid syntax', function () {
+    const e = getError(() => conscript()('x = 1 &\n  y = a#b'))
+    assert(e instanceof ConscriptSyntaxError)
+    assert(e instanceof SyntaxError)
+    assert.strictEqual(e.offset, 14)
+    assert.strictEqual(e.length, 3)
+    assert.strictEqual(e.line, 2)
+    assert.strictEqual(e.column, 7)
+    assert.strictEqual(e.snippet, 'a#b')
+    assert.strictEqual(e.formatted, 'Unrecognized syntax: `a#b`\n2 |   y = a#b\n  |       ^^^')
+  })
+
+  it('should locate a missing right operand at its operator', function () {
+    const e = getError(() => conscript().parse('1 = 1 & 2 *'))
+    assert.strictEqual(e.message, 'Expected to find an expression to the right of the * operator.')
+    assert.strictEqual(e.offset, 10)
+    assert.strictEqual(e.snippet, '*')
+  })
+
+  it('should locate an incomplete ternary expression', function () {
+    const e = getError(() => conscript().parse('x ? 1'))
+    assert.strictEqual(e.snippet, '? 1')
+  })
+
+  it('should throw a `ConscriptRuntimeError` with the location of a failed operation', function () {
+    const e = getError(() => conscript()('a.b = 1 & a.b.c = 2')({a: {b: 1}}))
+    assert(e instanceof ConscriptRuntimeError)
+    assert(e instanceof TypeError)
+    assert.strictEqual(e.snippet, 'a.b.c')
+    assert.strictEqual(e.column, 11)
+
+    assert.strictEqual(getError(() => conscript()('1 + (f(2) - 1)')()).snippet, 'f(2)')
+    assert.strictEqual(getError(() => conscript()('1 + ("a" * 2)')()).snippet, '"a" * 2')
+    assert.strictEqual(getError(() => conscript()('[1].x')()).snippet, '[1].x')
+  })
+
+  it('should report offsets without a source when evaluating a syntax tree', function () {
+    const c = conscript()
+    const e = getError(() => c.evaluate(c.parse('1 + f()'), {}))
+    assert.strictEqual(e.offset, 4)
+    assert.strictEqual(typeof e.line, 'undefined')
+    assert.strictEqual(e.formatted, e.message)
+  })
+})
+
+function getError (f) {
+  try {
+    f()
+  } catch (e) {
+    return e
+  }
+  throw new Error('Expected an error to be thrown')
+}
+
+describe('conscript().dependencies()', function () {
+  it('should list variables, property paths, and called functions', function () {
+    assert.deepStrictEqual(conscript().dependencies('$age >= 18 & user.address.city = "X" & sum(1, 2) & ${has space}'), { // eslint-disable-line no-template-curly-in-string
+      variables: ['age', 'user', 'sum', 'has space'],
+      identifiers: [],
+      functions: ['sum'],
+      paths: [['user', 'address', 'city']],
+      dynamic: false,
+    })
+  })
+
+  it('should list bare identifiers separately', function () {
+    const {variables, identifiers} = conscript().dependencies('status = active & role is string')
+    assert.deepStrictEqual(variables, [])
+    assert.deepStrictEqual(identifiers, ['status', 'active', 'role', 'string'])
+  })
+
+  it('should exclude function parameters', function () {
+    const {variables, identifiers, paths} = conscript().dependencies('tags.some((t){t = x & t.y & $t.z})')
+    assert.deepStrictEqual(variables, ['tags'])
+    assert.deepStrictEqual(identifiers, ['x'])
+    assert.deepStrictEqual(paths, [['tags', 'some']])
+  })
+
+  it('should resolve constant dynamic names', function () {
+    const {variables, paths, dynamic} = conscript().dependencies('$("v" + "ar") = 1 & obj.("a" + "b") & $.other.c')
+    assert.deepStrictEqual(variables, ['var', 'obj', 'other'])
+    assert.deepStrictEqual(paths, [['obj', 'ab'], ['other', 'c']])
+    assert.strictEqual(dynamic, false)
+  })
+
+  it('should flag reads of variables whose names are unknown until runtime', function () {
+    const c = conscript()
+    assert.strictEqual(c.dependencies('$(name) = 1').dynamic, true)
+    assert.deepStrictEqual(c.dependencies('$(name) = 1').identifiers, ['name'])
+    assert.strictEqual(c.dependencies('$ is object').dynamic, true)
+    assert.strictEqual(c.dependencies('$.(key) = 1').dynamic, true)
+  })
+
+  it('should accept a syntax tree', function () {
+    const c = conscript()
+    assert.deepStrictEqual(c.dependencies(c.parse('$x')).variables, ['x'])
+  })
+})
+
+describe('conscript().validate()', function () {
+  const schema = {age: 'number', name: 'string', active: 'boolean', tags: ['string'], user: {address: {city: 'string'}}}
+  const messages = (script, options) => conscript({schema}).validate(script, options).map(e => e.message)
+
+  it('should accept scripts that match the schema', function () {
+    assert.deepStrictEqual(messages('$age >= 18 & user.address.city = "Paris" & $tags.length > 0 & $.name ^= "A"'), [])
+  })
+
+  it('should report unknown variables', function () {
+    assert.deepStrictEqual(messages('$agee > 1 & user2.x = 1 & $.nope'), ['Unknown variable: `agee`', 'Unknown variable: `user2`', 'Unknown variable: `nope`'])
+  })
+
+  it('should report unknown bare identifiers only if unknownsAre is `errors`', function () {
+    assert.deepStrictEqual(messages('status = active'), [])
+    assert.deepStrictEqual(messages('status = active', {unknownsAre: 'errors'}), ['Unknown variable: `status`'])
+  })
+
+  it('should report unknown properties', function () {
+    assert.deepStrictEqual(messages('user.address.zip = 1'), ['Unknown property: `zip`'])
+  })
+
+  it('should report calls on non-functions', function () {
+    assert.deepStrictEqual(messages('$age()'), ['`age` is not a function'])
+    assert.deepStrictEqual(messages('$age()', {safeCall: true}), [])
+  })
+
+  it('should report property access on non-objects', function () {
+    assert.deepStrictEqual(messages('$age.x'), ['Cannot retrieve property `x` from a non-object'])
+    assert.deepStrictEqual(messages('$age.x', {safeNav: true}), [])
+  })
+
+  it('should report operators applied to incompatible types', function () {
+    assert.deepStrictEqual(messages('$active * 2'), ['Cannot perform * operation on a non-number'])
+    assert.deepStrictEqual(messages('$age matches "x"'), ['To use the `matches` operator, one operand must be a regular expression and the other must be a string'])
+    assert.deepStrictEqual(messages('$age + [1] = [1, 1] & $name + 1 = "a1"'), [])
+    assert.deepStrictEqual(messages('$active * 2', {safeOp: true}), [])
+  })
+
+  it('should not check function parameters against the schema', function () {
+    assert.deepStrictEqual(messages('$tags.some((t){$t.length > 1 & t = x})'), [])
+  })
+
+  it('should return errors with source locations', function () {
+    const [e] = conscript().validate('$a & $b.c', {schema: {a: 'boolean', b: {}}})
+    assert(e instanceof ConscriptSchemaError)
+    assert.strictEqual(e.snippet, '$b.c')
+    assert.strictEqual(e.column, 6)
+  })
+
+  it('should make conscript() throw the first error', function () {
+    assert.throws(() => conscript({schema})('$age > 1 & $agee > 1'), ConscriptSchemaError)
+    assert.strictEqual(conscript({schema})('$age > 1')({age: 2}), true)
+  })
+
+  it('should reject unrecognized type names', function () {
+    assert.throws(() => conscript().validate('1', {schema: {x: 'int'}}), TypeError)
+  })
+})
+
+describe('Custom operators', function () {
+  const operators = {
+    within: {level: 'comparison', evaluate: (value, [min, max]) => value >= min && value <= max},
+    '<=>': {level: 'comparison', evaluate: (l, r) => Math.sign(l - r)},
+    '**': {
+      level: 'math',
+      evaluate (l, r) {
+        if (typeof l !== 'number' || typeof r !== 'number') throw new TypeError('Cannot exponentiate a non-number')
+        return l ** r
+      },
+    },
+    xor: {level: 'boolean', evaluate: (l, r) => !l !== !r},
+  }
+  const c = conscript({operators})
+
+  it('should support word operators', function () {
+    assert.strictEqual(c('$n within [1, 10]')({n: 5}), true)
+    assert.strictEqual(c('$n within [1, 10]')({n: 11}), false)
+  })
+
+  it('should support symbolic operators', function () {
+    assert.strictEqual(c('1 <=> 2')(), -1)
+    assert.strictEqual(c('2 ** 3 + 1')(), 9)
+  })
+
+  it('should negate comparison operators with `!`', function () {
+    assert.strictEqual(c('5 !within [1, 10]')(), false)
+    assert.strictEqual(c('2 !<=> 2')(), true)
+  })
+
+  it('should apply operators at the chosen precedence level', function () {
+    assert.strictEqual(c('1 = 1 xor 2 = 2')(), false)
+    assert.strictEqual(c('1 = 1 xor 2 = 3')(), true)
+    assert.strictEqual(c('2 ** 2 within [3, 5]')(), true)
+    assert.deepStrictEqual(withoutPositions(c.parse('a ** b = c')), {
+      type: 'Comparison',
+      operator: '=',
+      left: {type: 'Math', operator: '**', left: {type: 'Identifier', name: 'a'}, right: {type: 'Identifier', name: 'b'}},
+      right: {type: 'Identifier', name: 'c'},
+    })
+  })
+
+  it('should turn type errors into runtime errors unless `safeOp` is enabled', function () {
+    const e = getError(() => c('x ** 2')())
+    assert(e instanceof ConscriptRuntimeError)
+    assert.strictEqual(e.message, 'Cannot exponentiate a non-number')
+    assert.strictEqual(e.snippet, 'x ** 2')
+    assert.strictEqual(c('x ** 2', {safeOp: true})(), 0)
+    const custom = conscript({operators: {'**': {...operators['**'], safeValue: null}}})
+    assert.strictEqual(custom('x ** 2', {safeOp: true})(), null)
+  })
+
+  it('should not affect scripts compiled without the operator', function () {
+    assert.strictEqual(conscript()('a within b')(), 'a within b')
+  })
+
+  it('should reject invalid operator definitions', function () {
+    assert.throws(() => conscript({operators: {is: {level: 'comparison', evaluate () {}}}})('1'), TypeError)
+    assert.throws(() => conscript({operators: {foo: {level: 'other', evaluate () {}}}})('1'), TypeError)
+    assert.throws(() => conscript({operators: {foo: {level: 'math'}}})('1'), TypeError)
+    assert.throws(() => conscript({operators: {foo: {level: 'math', negatable: true, evaluate () {}}}})('1'), TypeError)
+  })
+
+  it('should find symbols that contain other operators', function () {
+    const evaluate = (a, b) => (a > b) - (a < b)
+    assert.strictEqual(conscript({operators: {'<=>': {level: 'comparison', negatable: false, evaluate}}})('3 <=> 2')(), 1)
+    assert.strictEqual(conscript({operators: {'***': {level: 'math', evaluate}}})('3 *** 2 * 2')(), 2)
+  })
+
+  it('should reject operators that contain ones with a lower precedence', function () {
+    const evaluate = () => 0
+    assert.throws(() => conscript({operators: {'<=>': {level: 'math', evaluate}}})('3 <=> 2'), {name: 'TypeError', message: 'The `<=>` operator can’t contain `<`, which is an operator with a lower precedence'})
+    assert.throws(() => conscript({operators: {'|>': {level: 'comparison', evaluate}}})('1'), /can’t contain `\|`/)
+    assert.throws(() => conscript({operators: {'?>': {level: 'boolean', evaluate}}})('1'), /can’t contain `\?`/)
+    assert.throws(() => conscript({operators: {'is a': {level: 'math', evaluate}}})('1'), /can’t contain `is`/)
+    assert.throws(() => conscript({operators: {'=>': {level: 'boolean', evaluate}, '==>': {level: 'math', evaluate}}})('1'), /can’t contain `=>`/)
+  })
+})
+
+describe('Properties and methods', function () {
+  it('should read other properties of strings and arrays as null when `safeNav` is set', async function () {
+    for (const options of [{safeNav: true}, {safe: true}, {safeNav: true, compile: 'js'}]) {
+      assert.strictEqual(conscript(options)('$s.x')({s: 'abc'}), null)
+      assert.strictEqual(conscript(options)('$a.x')({a: [1]}), null)
+      assert.strictEqual(conscript(options)('$s.(1)')({s: 'abc'}), 'b')
+    }
+    assert.strictEqual(await conscript({safeNav: true, async: true})('$s.x')({s: 'abc'}), null)
+    assert.throws(() => conscript()('$s.x')({s: 'abc'}), {name: 'ConscriptRuntimeError', message: /^Array index `x` is not a number/})
+  })
+
+  it('should support the standard array properties', function () {
+    const c = conscript()
+    assert.strictEqual(c('[3, 1, 2].first')(), 3)
+    assert.strictEqual(c('[1, 2, 3, 4].sum')(), 10)
+    assert.strictEqual(c('[1, 2, 3, 4].avg')(), 2.5)
+    assert.strictEqual(c('[3, 1, 2].min')(), 1)
+    assert.strictEqual(c('[3, 1, 2].max')(), 3)
+    assert.strictEqual(c('[].avg')(), null)
+    assert.deepStrictEqual(c('[1, 2, 1, [3], [3]].unique')(), [1, 2, [3]])
+  })
+
+  it('should support the standard array methods', function () {
+    const c = conscript()
+    assert.deepStrictEqual(c('[1, 2, 3, 4].filter((x){x % 2 = 0})')(), [2, 4])
+    assert.strictEqual(c('[1, 2, 3].find((x){x > 1})')(), 2)
+    assert.strictEqual(c('[1, 2, 3].find((x){x > 5})')(), null)
+    assert.strictEqual(c('[1, 2, 3].reduce((sum, x){sum + x}, 10)')(), 16)
+    assert.strictEqual(c('[1, 2, 3].reduce((sum, x){sum + x})')(), 6)
+    assert.deepStrictEqual(c('[10, 9, 1].sort()')(), [1, 9, 10])
+    assert.deepStrictEqual(c('[1, 3, 2].sort((a, b){b - a})')(), [3, 2, 1])
+    assert.strictEqual(c('[1, 2, 3].join("-")')(), '1-2-3')
+    assert.strictEqual(c('[1, 2, 3].join()')(), '1,2,3')
+  })
+
+  it('should not modify the original array when sorting', function () {
+    const arr = [2, 1]
+    assert.deepStrictEqual(conscript()('$arr.sort()')({arr}), [1, 2])
+    assert.deepStrictEqual(arr, [2, 1])
+  })
+
+  it('should support the standard string properties and methods', function () {
+    const c = conscript()
+    assert.strictEqual(c('$s.trim')({s: ' a '}), 'a')
+    assert.strictEqual(c('$s.upper')({s: 'aB'}), 'AB')
+    assert.strictEqual(c('$s.lower')({s: 'aB'}), 'ab')
+    assert.deepStrictEqual(c('$s.split(",")')({s: 'a,b'}), ['a', 'b'])
+    assert.strictEqual(c('$s.length')({s: 'abc'}), 3)
+    assert.strictEqual(c('$s.first')({s: 'abc'}), 'a')
+  })
+
+  it('should support the standard object properties', function () {
+    const c = conscript()
+    const obj = {a: 1, b: 2}
+    assert.deepStrictEqual(c('$obj.keys')({obj}), ['a', 'b'])
+    assert.deepStrictEqual(c('$obj.values')({obj}), [1, 2])
+    assert.deepStrictEqual(c('$obj.entries')({obj}), [['a', 1], ['b', 2]])
+    assert.strictEqual(c('$obj.keys')({obj: {keys: 'own'}}), 'own')
+  })
+
+  it('should support the standard number methods', function () {
+    const c = conscript()
+    assert.strictEqual(c('$n.round()')({n: 2.5}), 3)
+    assert.strictEqual(c('$n.round(2)')({n: 3.14159}), 3.14)
+    assert.throws(() => c('$n.x')({n: 1}), ConscriptRuntimeError)
+  })
+
+  it('should support custom properties and methods', function () {
+    const c = conscript({
+      methods: {
+        array: {second: arr => arr[1], first: () => 'overridden'},
+        number: {double: n => n * 2},
+        object: {size: obj => Object.keys(obj).length},
+        string: {repeat: str => times => str.repeat(times)},
+      },
+    })
+    assert.strictEqual(c('[1, 2].second')(), 2)
+    assert.strictEqual(c('[1, 2].first')(), 'overridden')
+    assert.strictEqual(c('$n.double')({n: 3}), 6)
+    assert.strictEqual(c('$obj.size')({obj: {a: 1}}), 1)
+    assert.strictEqual(c('"ab".repeat(2)')(), 'abab')
+    assert.strictEqual(c('"ab".second')(), 'b')
+    assert.throws(() => conscript()('[1, 2].second')(), ConscriptRuntimeError)
+  })
+
+  it('should reject methods for unrecognized types', function () {
+    assert.throws(() => conscript({methods: {boolean: {}}})('1'), TypeError)
+  })
+})
+
+describe('Dates and durations', function () {
+  const now = new Date('2024-03-15T12:00:00Z')
+
+  it('should support date literals', function () {
+    assert.deepStrictEqual(conscript()('#2024-01-31#')(), new Date('2024-01-31T00:00:00Z'))
+    assert.deepStrictEqual(conscript()('#2024-01-31T10:30#')(), new Date('2024-01-31T10:30:00Z'))
+    assert.deepStrictEqual(conscript()('#2024-01-31T10:30:00+02:00#')(), new Date('2024-01-31T08:30:00Z'))
+  })
+
+  it('should reject invalid date literals', function () {
+    assert.throws(() => conscript()('#2024-13-01#'), ConscriptSyntaxError)
+    assert.throws(() => conscript()('#tomorrow#'), ConscriptSyntaxError)
+    assert.throws(() => conscript()('#2024-01-01'), ConscriptSyntaxError)
+  })
+
+  it('should use the `now` option for `#now#` and `#today#`', function () {
+    assert.deepStrictEqual(conscript({now})('#now#')(), now)
+    assert.deepStrictEqual(conscript({now})('#today#')(), new Date('2024-03-15T00:00:00Z'))
+    assert.deepStrictEqual(conscript()('#now#')(null, {now: () => now.getTime()}), now)
+  })
+
+  it('should support duration literals', function () {
+    const c = conscript()
+    assert.strictEqual(c('3d = 72h')(), true)
+    assert.strictEqual(c('1h30m = 90m')(), true)
+    assert.strictEqual(c('PT2H = 120m')(), true)
+    assert.strictEqual(c('P1W = 7d')(), true)
+    assert.strictEqual(c('1y = 12mo')(), true)
+    assert(c('-1d')() instanceof conscript.Duration)
+  })
+
+  it('should read bare duration-like tokens as durations instead of strings or numbers', function () {
+    // Before 0.4.0, `P1D` was an unknown identifier (the string "P1D") and `3d` was the number 3
+    const c = conscript()
+    assert(c('P1D')() instanceof conscript.Duration)
+    assert(c('PT2H')() instanceof conscript.Duration)
+    assert(c('3d')() instanceof conscript.Duration)
+    assert(c('10m')() instanceof conscript.Duration)
+    assert.strictEqual(c('P1D = "P1D"')(), false)
+    assert.strictEqual(c('3d = 3')(), false)
+    assert.strictEqual(c('$x = "P1D"')({x: 'P1D'}), true)
+    assert.strictEqual(c('$P1D')({P1D: 1}), 1)
+    assert.strictEqual(c('P1Dx')(), 'P1Dx')
+  })
+
+  it('should compare dates by time', function () {
+    const c = conscript()
+    assert.strictEqual(c('#2024-01-31# < #2024-02-01#')(), true)
+    assert.strictEqual(c('#2024-01-31# >= #2024-01-31#')(), true)
+    assert.strictEqual(c('$d = #2024-01-31#')({d: new Date('2024-01-31')}), true)
+    assert.strictEqual(c('$d <> #2024-01-31#')({d: new Date('2024-01-31')}), false)
+  })
+
+  it('should add and subtract durations', function () {
+    const c = conscript({now})
+    assert.deepStrictEqual(c('#2024-01-31T10:00# + 2h')(), new Date('2024-01-31T12:00:00Z'))
+    assert.deepStrictEqual(c('#2024-01-31# + 1mo')(), new Date('2024-02-29T00:00:00Z'))
+    assert.deepStrictEqual(c('#2024-03-31# - 1mo')(), new Date('2024-02-29T00:00:00Z'))
+    assert.deepStrictEqual(c('#2024-02-29# + 1y')(), new Date('2025-02-28T00:00:00Z'))
+    assert.strictEqual(c('#now# - 1d = #2024-03-14T12:00#')(), true)
+    assert.strictEqual(c('#now# - #2024-03-14# = 1d12h')(), true)
+    assert.strictEqual(c('1h + 30m = 90m & 2h * 3 = 6h & 1d / 1h = 24')(), true)
+  })
+
+  it('should reject unsupported date operations unless `safeOp` is enabled', function () {
+    assert.throws(() => conscript()('#2024-01-01# + 1')(), ConscriptRuntimeError)
+    assert.throws(() => conscript()('#2024-01-01# + #2024-01-01#')(), ConscriptRuntimeError)
+    assert.strictEqual(conscript({safeOp: true})('#2024-01-01# * 2')(), null)
+  })
+
+  it('should provide date and duration properties', function () {
+    const c = conscript()
+    assert.strictEqual(c('#2024-01-31T10:20:30#.year')(), 2024)
+    assert.strictEqual(c('#2024-01-31T10:20:30#.month')(), 1)
+    assert.strictEqual(c('#2024-01-31T10:20:30#.day')(), 31)
+    assert.strictEqual(c('#2024-01-31T10:20:30#.hour')(), 10)
+    assert.strictEqual(c('#2024-01-31T10:20:30#.minute')(), 20)
+    assert.strictEqual(c('#2024-01-31T10:20:30#.second')(), 30)
+    assert.strictEqual(c('#2024-01-31#.weekday')(), 3)
+    assert.strictEqual(c('#2024-02-04#.weekday')(), 7)
+    assert.strictEqual(c('$d.year')({d: new Date('2023-05-05')}), 2023)
+    assert.strictEqual(c('(#2024-01-02# - #2024-01-01#).hours')(), 24)
+    assert.strictEqual(c('90m.hours')(), 1.5)
+  })
+
+  it('should find dates and durations in arrays', async function () {
+    for (const compile of ['closures', 'js']) {
+      const c = conscript({compile})
+      assert.strictEqual(c('#2024-01-01# in [#2024-01-01#]')(), true)
+      assert.strictEqual(c('#2024-01-01# !in [#2024-01-02#]')(), true)
+      assert.strictEqual(c('$dates *= #2024-01-01#')({dates: [new Date('2024-01-01T00:00:00')]}), true)
+      assert.strictEqual(c('1d in [24h]')(), true)
+      assert.strictEqual(c('[#2024-01-01#, #2024-01-02#] all in [#2024-01-02#, #2024-01-01#]')(), true)
+      assert.strictEqual(c('[#2024-01-01#] subset of [#2024-01-01#]')(), true)
+      assert.deepStrictEqual(c('[#2024-01-01#, #2024-01-02#] - [#2024-01-01#]')(), [new Date('2024-01-02T00:00:00')])
+      assert.strictEqual(c('$dates ~in [#2024-01-01#]')({dates: new Date('2024-01-01T00:00:00')}), true)
+    }
+    assert.strictEqual(await conscript()('#2024-01-01# in $dates', {async: true})({dates: [new Date('2024-01-01T00:00:00')]}), true)
+  })
+
+  it('should parse dates and durations into syntax tree nodes', function () {
+    assert.deepStrictEqual(withoutPositions(conscript().parse('#NOW# - 3d > #2024-01-01T10:00:00#')), {
+      type: 'Comparison',
+      operator: '>',
+      left: {type: 'Math', operator: '-', left: {type: 'Date', value: 'now'}, right: {type: 'Duration', value: '3d'}},
+      right: {type: 'Date', value: '2024-01-01T10:00:00'},
+    })
+  })
+})
+
+describe('Execution limits', function () {
+  const square = '$a.map((x){$a.map((y){x * y}).sum}).sum'
+
+  it('should limit the number of steps', function () {
+    const e = getError(() => conscript({maxSteps: 1000})(square)({a: Array(50).fill(1)}))
+    assert(e instanceof ConscriptLimitError)
+    assert.strictEqual(e.limit, 'maxSteps')
+    assert.strictEqual(conscript({maxSteps: 1000})('$a.sum')({a: Array(50).fill(1)}), 50)
+  })
+
+  it('should reset the step count for each evaluation', function () {
+    const test = conscript({maxSteps: 10})('1 + 1 = 2')
+    for (let i = 0; i < 20; i++) assert.strictEqual(test(), true)
+  })
+
+  it('should limit the depth of nested function calls', function () {
+    const e = getError(() => conscript({maxDepth: 50})('((f){f(f)})((f){f(f)})')())
+    assert(e instanceof ConscriptLimitError)
+    assert.strictEqual(e.limit, 'maxDepth')
+    assert.strictEqual(conscript({maxDepth: 2})('[[1]].map((a){a.map((x){x})})')()[0][0], 1)
+  })
+
+  it('should limit the size of collections', function () {
+    const c = conscript({maxCollectionSize: 10})
+    assert.strictEqual(getError(() => c('$a + $a')({a: Array(6).fill(1)})).limit, 'maxCollectionSize')
+    assert.strictEqual(getError(() => c('$a.map((x){x})')({a: Array(11).fill(1)})).limit, 'maxCollectionSize')
+    assert.strictEqual(c('$a.length')({a: Array(11).fill(1)}), 11)
+  })
+
+  it('should limit the size of property values', async function () {
+    const o = Object.fromEntries(Array.from({length: 11}, (x, i) => ['k' + i, i]))
+    assert.strictEqual(getError(() => conscript({maxCollectionSize: 10})('$o.keys.length')({o})).limit, 'maxCollectionSize')
+    assert.strictEqual(getError(() => conscript({maxStringLength: 5})('$o.s.upper')({o: {s: 'abcdef'}})).limit, 'maxStringLength')
+    await assert.rejects(conscript({maxCollectionSize: 10, async: true})('$o.values')({o}), e => e.limit === 'maxCollectionSize')
+    assert.strictEqual(conscript({maxCollectionSize: 10})('$o.keys.length')({o: {a: 1}}), 1)
+  })
+
+  it('should limit the length of strings', function () {
+    const e = getError(() => conscript({maxStringLength: 5})('$s + $s')({s: 'abc'}))
+    assert.strictEqual(e.limit, 'maxStringLength')
+    assert.strictEqual(e.snippet, '$s + $s')
+  })
+
+  it('should limit the running time', function () {
+    const e = getError(() => conscript({timeoutMs: 1})(square)({a: Array(2000).fill(1)}))
+    assert(e instanceof ConscriptLimitError)
+    assert.strictEqual(e.limit, 'timeoutMs')
+  })
+
+  it('should check the running time of short scripts', async function () {
+    const wait = () => { for (const start = Date.now(); Date.now() - start < 20;); return true }
+    assert.strictEqual(getError(() => conscript({timeoutMs: 5})('$wait() & $x')({wait, x: true})).limit, 'timeoutMs')
+    const slow = new Promise(resolve => setTimeout(() => resolve(1), 200))
+    await assert.rejects(conscript({timeoutMs: 50, async: true})('$slow')({slow}), e => e.limit === 'timeoutMs')
+  })
+})
+
+describe('Async mode', function () {
+  const later = x => new Promise(resolve => setTimeout(() => resolve(x), 1))
+
+  it('should await variables', async function () {
+    assert.strictEqual(await conscript().async('$age >= 18')({age: later(21)}), true)
+    assert.strictEqual(await conscript().async('$age >= 18')(name => later(name === 'age' ? 17 : null)), false)
+    assert.strictEqual(await conscript()('age >= 18', {async: true})({age: later(21)}), true)
+  })
+
+  it('should await properties and function results', async function () {
+    const vars = {user: later({address: later({city: 'Paris'})}), double: x => later(x * 2)}
+    assert.strictEqual(await conscript().async('user.address.city = "Paris" & $double(2) = 4')(vars), true)
+  })
+
+  it('should await array callbacks', async function () {
+    const c = conscript().async
+    const vars = {items: [1, 2, 3], check: x => later(x > 1), neg: x => later(-x)}
+    assert.deepStrictEqual(await c('$items.filter((x){$check(x)})')(vars), [2, 3])
+    assert.deepStrictEqual(await c('$items.map((x){$check(x)})')(vars), [false, true, true])
+    assert.strictEqual(await c('$items.some((x){$check(x)})')(vars), true)
+    assert.strictEqual(await c('$items.every((x){$check(x)})')(vars), false)
+    assert.strictEqual(await c('$items.find((x){$check(x)})')(vars), 2)
+    assert.strictEqual(await c('$items.reduce((sum, x){$check(x) ? sum + x : sum}, 0)')(vars), 5)
+    assert.deepStrictEqual(await c('$items.sort((a, b){$neg(a) - $neg(b)})')(vars), [3, 2, 1])
+  })
+
+  it('should short-circuit logical, ternary, `then`, and `before` operators', async function () {
+    const read = []
+    const vars = name => {
+      read.push(name)
+      return later(name === 'yes')
+    }
+    const c = conscript().async
+    assert.strictEqual(await c('$no & $a')(vars), false)
+    assert.strictEqual(await c('$yes | $b')(vars), true)
+    assert.strictEqual(await c('$yes ? $c : $d')(vars), false)
+    assert.strictEqual(await c('$no then $e')(vars), false)
+    assert.strictEqual(await c('$f before $no')(vars), '')
+    assert.deepStrictEqual(read, ['no', 'yes', 'yes', 'c', 'no', 'no'])
+  })
+
+  it('should support defaultLeft', async function () {
+    assert.strictEqual(await conscript().async('>2 & <4')({}, {defaultLeft: 3}), true)
+    assert.strictEqual(await conscript().async('"a"|"b"')({}, {defaultLeft: 'b'}), true)
+  })
+
+  it('should reject with runtime errors', async function () {
+    await assert.rejects(conscript().async('$x()')({x: later(1)}), ConscriptRuntimeError)
+    await assert.rejects(conscript({maxSteps: 5}).async('$a.map((x){x})')({a: [1, 2, 3, 4, 5]}), ConscriptLimitError)
+  })
+})
+
+describe('JavaScript compiler', function () {
+  const js = conscript({compile: 'js'})
+  const vars = {age: 21, tags: ['a', 'b'], user: {address: {city: 'Paris'}}, double: x => x * 2, d: new Date('2020-01-31')}
+
+  it('should produce the same results as the default compiler', function () {
+    const scripts = [
+      '$age >= 18 & user.address.city = "Paris"',
+      '$age < 18 | tags.some((t){t = "b"})',
+      '$age > 30 ? "old" : "young"',
+      '$tags.map((t, i){t + i}).join("-")',
+      '((x){(y){x * y + $age}})(2)(3)',
+      '$double($age) - 2 ^ 3 % 5',
+      '$("ag" + "e") then 1',
+      '$d + 1mo',
+      'unknown',
+      '!($age in [1, 2])',
+      '$missing?.a.b ?? $user?.address.city',
+      '$double?.($age) + ($missing?.(1) ?? 0)',
+    ]
+    for (const script of scripts) assert.deepStrictEqual(js(script)(vars), conscript()(script)(vars), script)
+  })
+
+  it('should handle the edge cases of inlined operators like the default compiler', function () {
+    const scripts = [
+      '$age / 0', '(0 - $age) / 0', '0 / 0', '"2" + $age', '$age - "1"', '$tags + 1',
+      '(2 ^ 3) ^ 2', '$d - 1d <> $d', '$d <> $d', '$d <> $d + 0d', '1 <> "1"',
+    ]
+    for (const script of scripts) assert.deepStrictEqual(js(script)(vars), conscript()(script)(vars), script)
+    assert.throws(() => js('$age % 0')(vars), ConscriptRuntimeError)
+    assert.throws(() => js('$age * "a"')(vars), ConscriptRuntimeError)
+    assert.strictEqual(js('$age * "a"', {safeOp: true})(vars), 0)
+  })
+
+  it('should support defaultLeft', function () {
+    assert.strictEqual(js('>2 & <4')({}, {defaultLeft: 3}), true)
+    assert.strictEqual(js('.length = 3')({}, {defaultLeft: 'abc'}), true)
+    assert.strictEqual(js('$x ? 1 : 2')({}, {defaultLeft: 2}), 2)
+  })
+
+  it('should support the `safe` and `unknownsAre` options', function () {
+    assert.throws(() => js('$x()')({x: 1}), ConscriptRuntimeError)
+    assert.strictEqual(js('$x()', {safeCall: true})({x: 1}), null)
+    assert.throws(() => js('$x.y')({x: 1}), ConscriptRuntimeError)
+    assert.strictEqual(js('$x.y', {safeNav: true})({x: 1}), null)
+    assert.strictEqual(js('"a" * 2', {safeOp: true})(), 0)
+    assert.strictEqual(js('x', {unknownsAre: 'null'})(), null)
+    assert.throws(() => js('x', {unknownsAre: 'errors'})(), ReferenceError)
+  })
+
+  it('should support custom operators and methods', function () {
+    const operators = {xor: {level: 'math', evaluate: (a, b) => a ^ b}}
+    const methods = {number: {double: x => x * 2}}
+    assert.strictEqual(js('3 xor 5', {operators})(), 6)
+    assert.strictEqual(js('(3).double', {methods})(), 6)
+  })
+
+  it('should generate a module', function () {
+    const code = conscript().generate('$age >= 18 & user.address.city = "Paris"')
+    const module = {}
+    new Function('require', 'module', code)(() => require('./lib/codegen'), module) // eslint-disable-line no-new-func
+    assert.strictEqual(module.exports()(vars), true)
+    assert.strictEqual(module.exports()({age: 17}), false)
+  })
+
+  it('should not write syntax tree values into the generated code', function () {
+    const number = value => ({type: 'Number', value, start: 0, end: 1})
+    assert.throws(() => conscript().generate(number('process.exit()')), ConscriptSyntaxError)
+    assert.throws(() => conscript().generate({type: 'Math', operator: '+', left: number(1), right: number({})}), ConscriptSyntaxError)
+    const module = {}
+    new Function('require', 'module', conscript().generate(number('-0')))(() => require('./lib/codegen'), module) // eslint-disable-line no-new-func
+    assert(Object.is(module.exports()(), -0))
+    assert.strictEqual(js('1 - -Infinity')(), Infinity)
+  })
+
+  it('should reject unsupported options', function () {
+    assert.throws(() => js('$a', {async: true}), TypeError)
+    assert.throws(() => js('$a', {maxSteps: 10}), TypeError)
+    assert.throws(() => conscript({compile: 'wasm'})('$a'), TypeError)
+  })
+})
+
+describe('Cache', function () {
+  it('should reuse compiled scripts', function () {
+    const c = conscript()
+    const f = c('$a = 1')
+    assert.strictEqual(c('$a = 1'), f)
+    assert.notStrictEqual(c('$a = 2'), f)
+    assert.deepStrictEqual(c.cacheStats(), {hits: 1, misses: 2, size: 2, maxSize: 1000})
+  })
+
+  it('should compile scripts again if options differ', function () {
+    const c = conscript()
+    const f = c('$a = 1')
+    assert.notStrictEqual(c('$a = 1', {safe: true}), f)
+    assert.notStrictEqual(c('$a = 1', {operators: {}}), f)
+    assert.strictEqual(c('$a = 1', {}), f)
+    assert.strictEqual(c('x', {unknownsAre: 'null'})(), null)
+    assert.strictEqual(c('x')(), 'x')
+  })
+
+  it('should evict the least recently used script', function () {
+    const c = conscript({cacheSize: 2})
+    const a = c('"a"')
+    c('"b"')
+    c('"a"')
+    c('"c"')
+    assert.strictEqual(c('"a"'), a)
+    assert.strictEqual(c.cacheStats().size, 2)
+    c('"b"')
+    assert.deepStrictEqual(c.cacheStats(), {hits: 2, misses: 4, size: 2, maxSize: 2})
+  })
+
+  it('should be clearable', function () {
+    const c = conscript()
+    const f = c('$a')
+    c.clearCache()
+    assert.deepStrictEqual(c.cacheStats(), {hits: 0, misses: 0, size: 0, maxSize: 1000})
+    assert.notStrictEqual(c('$a'), f)
+  })
+
+  it('should be disabled if the size is zero', function () {
+    const c = conscript({cacheSize: 0})
+    assert.notStrictEqual(c('$a'), c('$a'))
+    assert.strictEqual(c.cacheStats().size, 0)
+  })
+
+  it('should not cache errors', function () {
+    const c = conscript()
+    assert.throws(() => c('1 +'), ConscriptSyntaxError)
+    assert.throws(() => c('1 +'), ConscriptSyntaxError)
+    assert.strictEqual(c.cacheStats().size, 0)
+  })
+})
+
+describe('conscript().stringify()', function () {
+  const c = conscript({allowRegexLiterals: true})
+  const roundTrip = script => assert.deepStrictEqual(withoutPositions(c.parse(c.stringify(script))), withoutPositions(c.parse(script)), script)
+
+  it('should turn a syntax tree back into a script', function () {
+    assert.strictEqual(c.stringify(c.parse('$age>=18&user.address.city="Paris"')), '$age >= 18 & user.address.city = "Paris"')
+    assert.strictEqual(c.stringify('[1,2].map((x,i){x*i})'), '[1, 2].map((x, i){x * i})')
+  })
+
+  it('should produce scripts which parse to the same tree', function () {
+    const scripts = [
+      '$a ? $b ? 1 : 2 : $c ? 3 : 4',
+      '($a ? 1 : 2) ? 3 : 4',
+      '> 2 & < 5 | is string',
+      '.length = 3 & !!$a.b',
+      'debug $a + 1',
+      '(1.5).round(1) - -1',
+      '1 - (2 - 3) * 4',
+      '$("a" + "b") = $a.{c d}.(1 + 1)',
+      '$.a = $.b(1)',
+      '(x){x}(1) = ((, y){y})()',
+      '#2020-01-01#.year = P1Y2M.days',
+      '-Infinity < -0',
+      'x matches @a\\@b@i',
+      '$s is not string & "x" not in $arr',
+    ]
+    for (const script of scripts) roundTrip(script)
+  })
+
+  it('should escape quotes and braces', function () {
+    assert.strictEqual(c.stringify('\'a"b\''), "'a\"b'")
+    assert.strictEqual(c.stringify('"it\'s \\"x\\""'), '"it\'s \\"x\\""')
+    assert.strictEqual(c.stringify('$a.{b\\}c}'), '$a.{b\\}c}')
+    roundTrip('"it\'s \\"x\\""')
+    assert.throws(() => c.stringify({type: 'String', value: 'a\\'}), TypeError)
+  })
+
+  it('should add parentheses only where precedence requires them', function () {
+    const n = value => ({type: 'Number', value})
+    const math = (operator, left, right) => ({type: 'Math', operator, left, right})
+    assert.strictEqual(c.stringify(math('*', math('+', n(1), n(2)), n(3))), '1 + 2 * 3')
+    assert.strictEqual(c.stringify(math('*', n(1), math('+', n(2), n(3)))), '1 * (2 + 3)')
+    assert.strictEqual(c.stringify({type: 'Member', object: n(1e21), property: 'round'}), '(1000000000000000000000).round')
+    assert.strictEqual(c.stringify(n(1e-7)), '0.0000001')
+  })
+
+  it('should split long logical chains in multiline style', function () {
+    const script = '$user.age >= 18 & $user.address.city = "Paris" & ($user.role = "admin" | $user.role = "editor") | $override'
+    const formatted = c.stringify(script, {style: 'multiline', lineWidth: 40})
+    assert.strictEqual(formatted, [
+      '$user.age >= 18',
+      '  & $user.address.city = "Paris"',
+      '  & ($user.role = "admin"',
+      '    | $user.role = "editor")',
+      '  | $override',
+    ].join('\n'))
+    roundTrip(formatted)
+    assert.strictEqual(c.stringify('$a & $b', {style: 'multiline'}), '$a & $b')
+    assert.throws(() => c.stringify('$a', {style: 'fancy'}), TypeError)
+  })
+})
+
+describe('conscript().optimize()', function () {
+  const c = conscript()
+
+  it('should fold constant expressions', function () {
+    assert.strictEqual(c.optimize('[1, 2, 3].length = $n'), '3 = $n')
+    assert.strictEqual(c.optimize('"a" + "b" = $s'), '"ab" = $s')
+    assert.strictEqual(c.optimize('(1 + 1) * $x'), '2 * $x')
+    assert.strictEqual(c.optimize('$items.some((x){x > 2 * 3})'), '$items.some((x){x > 6})')
+    assert.strictEqual(c.optimize('#2020-01-31# + 1mo < $d & 1d + 2h < $t'), '#2020-02-29T00:00:00.000Z# < $d & 1d2h < $t')
+  })
+
+  it('should short-circuit logical operators with known operands', function () {
+    assert.strictEqual(c.optimize('true & $x'), '$x')
+    assert.strictEqual(c.optimize('1 = 1 | $x'), 'true')
+    assert.strictEqual(c.optimize('1 = 2 & $x'), 'false')
+    assert.strictEqual(c.optimize('$x & (1 = 2 | $y)'), '$x & $y')
+  })
+
+  it('should remove dead ternary branches', function () {
+    assert.strictEqual(c.optimize('1 > 2 ? $a : $b'), '$b')
+    assert.strictEqual(c.optimize('$a ? (true ? $b : $c) : $d'), '$a ? $b : $d')
+  })
+
+  it('should evaluate known variables', function () {
+    const vars = {age: 20, user: {roles: ['admin']}, xs: [1, 2], k: 3}
+    assert.strictEqual(c.optimize('$age >= 18 & $country = "FR"', {vars}), '$country = "FR"')
+    assert.strictEqual(c.optimize('user.roles *= "admin" | $x', {vars}), 'true')
+    assert.strictEqual(c.optimize('$xs.map((x){x * $k})', {vars}), '[3, 6]')
+    assert.strictEqual(c.optimize('$xs.map((x){x * $k})', {vars: {xs: [1, 2]}}), '[1, 2].map((x){x * $k})')
+    assert.strictEqual(c.optimize('(k){k + 1}(1) + $k', {vars}), '5')
+    assert.strictEqual(c.optimize('(k){k + 1}(1) + $j', {vars}), '2 + $j')
+  })
+
+  it('should not evaluate `debug`, the current time, or host functions', function () {
+    const read = []
+    const vars = {f: x => read.push(x), obj: {g: x => read.push(x)}}
+    const methods = {number: {double: x => read.push(x)}}
+    const operators = {xor: {level: 'math', evaluate: (a, b) => read.push(a, b)}}
+    assert.strictEqual(c.optimize('debug (1 + 1)'), 'debug (1 + 1)')
+    assert.strictEqual(c.optimize('#now# > #2020-01-01#'), '#now# > #2020-01-01#')
+    assert.strictEqual(c.optimize('$f(1 + 1) & $obj.g(1)', {vars}), '$f(2) & $obj.g(1)')
+    assert.strictEqual(c.optimize('(2).double', {methods}), '(2).double')
+    assert.strictEqual(c.optimize('3 xor 5', {operators}), '3 xor 5')
+    assert.deepStrictEqual(read, [])
+  })
+
+  it('should leave expressions which fail to evaluate unchanged', function () {
+    assert.strictEqual(c.optimize('$x ? "a" * 2 : 1'), '$x ? "a" * 2 : 1')
+    assert.strictEqual(c.optimize('"a" * 2', {safeOp: true}), '0')
+  })
+
+  it('should preserve comparisons with defaultLeft', function () {
+    const defaultLeft = 2
+    assert.strictEqual(c.optimize('[1, 2].length', {defaultLeft}), 'true')
+    assert.strictEqual(c.optimize('[1, 2].length'), '2')
+    assert.strictEqual(c.optimize('$x ? (true ? 1 : 2) : 3', {defaultLeft}), '$x ? 1 : 3')
+    for (const script of ['"a" + "b" | $x', '(1 + 1) * $x', '$x ? (true ? $y : 2) : 3', 'true ? $x : 2', '[1, $x].sum = 3']) {
+      const vars = {x: 1, y: 2}
+      assert.strictEqual(c.evaluate(c.optimize(c.parse(script), {defaultLeft}), vars, {defaultLeft}), c(script)(vars, {defaultLeft}), script)
+    }
+  })
+
+  it('should keep dates, durations, and regexes in `vars` as they are', function () {
+    assert.strictEqual(c.optimize('$dt.year', {vars: {dt: new Date('2024-05-05')}}), '2024')
+    assert.strictEqual(c.optimize('$dt < #2025-01-01#', {vars: {dt: [new Date('2024-05-05')][0]}}), 'true')
+    assert.strictEqual(c.optimize('"a" matches $rx', {vars: {rx: /a/}, safe: true}), 'true')
+    assert.strictEqual(c.optimize('$d.hours', {vars: {d: c.evaluate(c.parse('2h'))}}), '2')
+  })
+
+  it('should not evaluate variables which contain instances of other classes', function () {
+    class Point {
+      constructor () { this.x = 1 }
+      get y () { throw new Error('The getter was called') }
+    }
+    assert.strictEqual(c.optimize('$p.x + 1', {vars: {p: new Point()}}), '$p.x + 1')
+    assert.strictEqual(c.optimize('$ps.length', {vars: {ps: [new Point()]}}), '$ps.length')
+    assert.strictEqual(c.optimize('$o.a', {vars: {o: {get a () { throw new Error('The getter was called') }}}}), '$o.a')
+  })
+
+  it('should accept a syntax tree', function () {
+    assert.deepStrictEqual(withoutPositions(c.optimize(c.parse('1 + 1'))), {type: 'Number', value: 2})
+  })
+})
+
+describe('Explain mode', function () {
+  const c = conscript()
+
+  it('should return the result with an explanation', function () {
+    const {result, tree, text} = c('$age >= 18 & $country = "FR"')({age: 17}, {explain: true})
+    assert.strictEqual(result, false)
+    assert.strictEqual(tree.type, 'Logical')
+    assert.strictEqual(tree.source, '$age >= 18 & $country = "FR"')
+    assert.strictEqual(tree.value, false)
+    assert.strictEqual(tree.children[0].children[0].value, 17)
+    assert.strictEqual(tree.children[1].skipped, true)
+    assert.strictEqual(text, '$age >= 18 & $country = "FR" → false\n  $age (17) >= 18 → false\n  $country = "FR" (skipped)')
+  })
+
+  it('should mark ternary branches which are not taken as skipped', function () {
+    const {result, text} = c('$a ? $b + 1 : ($c | $d)')({a: 0, c: 'x'}, {explain: true})
+    assert.strictEqual(result, 'x')
+    assert.strictEqual(text, [
+      '$a ? $b + 1 : ($c | $d) → "x"',
+      '  $a → 0',
+      '  $b + 1 (skipped)',
+      '  $c | $d → "x"',
+      '    $c → "x"',
+      '    $d (skipped)',
+    ].join('\n'))
+  })
+
+  it('should list chains of the same logical operator together', function () {
+    const {text} = c('$a & $b & ($c + 1) * 2 > 5 | $d')({a: true, b: [1], c: 2}, {explain: true})
+    assert.strictEqual(text, [
+      '$a & $b & ($c + 1) * 2 > 5 | $d → true',
+      '  $a & $b & ($c + 1) * 2 > 5 → true',
+      '    $a → true',
+      '    $b → [1]',
+      '    ($c + 1) * 2 (6) > 5 → true',
+      '      ($c + 1) (3) * 2 → 6',
+      '        $c (2) + 1 → 3',
+      '  $d (skipped)',
+    ].join('\n'))
+  })
+
+  it('should not trace function bodies', function () {
+    const {tree, text} = c('$items.some((x){x > 2})')({items: [1, 3]}, {explain: true})
+    assert.strictEqual(text, '$items.some((x){x > 2}) → true')
+    assert.deepStrictEqual(tree.children.map(child => child.type), ['Variable', 'Function'])
+  })
+
+  it('should explain syntax trees', function () {
+    const {result, text} = c.evaluate(c.parse('$x+1=2'), {x: 1}, {explain: true})
+    assert.strictEqual(result, true)
+    assert.strictEqual(text, '$x + 1 (2) = 2 → true\n  $x (1) + 1 → 2')
+  })
+
+  it('should return the same results as normal evaluation', function () {
+    const options = {defaultLeft: 'b', explain: true}
+    assert.strictEqual(c('"a" | "b"')({}, options).result, c('"a" | "b"')({}, {defaultLeft: 'b'}))
+    assert.strictEqual(c('"a" | "b"')({}, options).tree.children[0].value, 'a')
+    assert.strictEqual(c('$a ? : 2', {maxSteps: 100})({a: 1}, {explain: true}).result, 1)
+  })
+
+  it('should support async mode', async function () {
+    const {result, text} = await c.async('$x > 1 & $y')({x: 2, y: Promise.resolve(0)}, {explain: true})
+    assert.strictEqual(result, 0)
+    assert.strictEqual(text, '$x > 1 & $y → 0\n  $x (2) > 1 → true\n  $y → 0')
+  })
+
+  it('should support the JavaScript compiler', function () {
+    const test = conscript({compile: 'js'})('$age >= 18')
+    assert.strictEqual(test({age: 17}, {explain: true}).text, '$age (17) >= 18 → false')
+    assert.strictEqual(test({age: 17}), false)
+    const module = {}
+    new Function('require', 'module', c.generate('$age >= 18'))(() => require('./lib/codegen'), module) // eslint-disable-line no-new-func
+    assert.throws(() => module.exports()({age: 17}, {explain: true}), TypeError)
+  })
+})
+
+describe('Optional chaining and null coalescing', function () {
+  const c = conscript()
+  const vars = {user: {name: 'Jo', address: null}, zero: 0, double: x => x * 2}
+
+  it('should return null from `?.` if the object is null', function () {
+    assert.strictEqual(c('$user?.name')(vars), 'Jo')
+    assert.strictEqual(c('$user.address?.city')(vars), null)
+    assert.strictEqual(c('$missing?.a')(vars), null)
+    assert.strictEqual(c('user?.name = "Jo"')(vars), true)
+    assert.throws(() => c('$user.address.city')(vars), ConscriptRuntimeError)
+  })
+
+  it('should skip the rest of the chain after a `?.` on null', function () {
+    assert.strictEqual(c('$user.address?.city.length')(vars), null)
+    assert.throws(() => c('$user.address?.city.length')({user: {address: {}}}), ConscriptRuntimeError)
+    assert.strictEqual(c('$user?.address?.city.length')(vars), null)
+  })
+
+  it('should call functions with `?.(` if they are not null', function () {
+    let called = false
+    const f = () => { called = true }
+    assert.strictEqual(c('$double?.(2)')(vars), 4)
+    assert.strictEqual(c('$missing?.($f())')({f}), null)
+    assert.strictEqual(called, false)
+    assert.throws(() => c('$zero?.()')(vars), ConscriptRuntimeError)
+  })
+
+  it('should return the right operand of `??` if the left is null', function () {
+    assert.strictEqual(c('$missing ?? "default"')(vars), 'default')
+    assert.strictEqual(c('$zero ?? 1')(vars), 0)
+    assert.strictEqual(c('$user.address?.city ?? "None"')(vars), 'None')
+    assert.strictEqual(c('$a ?? $b ?? 3')({}), 3)
+    assert.strictEqual(c('$zero ?? $f()')({zero: 0, f: () => assert.fail()}), 0)
+  })
+
+  it('should give `??` precedence between comparison and math operators', function () {
+    assert.strictEqual(c('$missing ?? 1 + 1 = 2')(vars), true)
+    assert.strictEqual(c('$zero ?? 1 + 1')(vars), 0)
+    assert.strictEqual(c('$missing ?? 0 >= 18 | true')(vars), true)
+    assert.strictEqual(c('$zero ? $missing ?? 1 : 2')(vars), 2)
+  })
+
+  it('should still read question marks in ternaries, strings, and regexes', function () {
+    assert.strictEqual(c('$user ?"?.":1')(vars), '?.')
+    assert.strictEqual(c('$zero ?1:2')(vars), 2)
+    assert.strictEqual(c('"??" + "?." = "???."')(), true)
+    assert.strictEqual(c('"aaa" matches @^a??$@', {allowRegexLiterals: true})(), false)
+    assert.strictEqual(c('?.length ?? 0 = 0')({}, {defaultLeft: null}), true)
+  })
+
+  it('should parse and stringify the new operators', function () {
+    assert.deepStrictEqual(withoutPositions(c.parse('$a?.b?.(1) ?? 2')), {
+      type: 'Coalesce',
+      operator: '??',
+      left: {
+        type: 'Call',
+        callee: {type: 'Member', object: {type: 'Variable', name: 'a'}, property: 'b', optional: true},
+        arguments: [{type: 'Number', value: 1}],
+        optional: true,
+      },
+      right: {type: 'Number', value: 2},
+    })
+    for (const script of ['$a?.b?.(1) ?? 2', '($a ?? 1) + 2 = $a ?? 3 * 2', '$a ?? $b ?? $c']) {
+      assert.strictEqual(c.stringify(script), script)
+    }
+  })
+
+  it('should be supported by async mode, validation, and the optimizer', async function () {
+    assert.strictEqual(await c.async('$user.address?.city ?? $name')({user: {address: null}, name: Promise.resolve('x')}), 'x')
+    const schema = {user: {address: 'null'}}
+    assert.deepStrictEqual(c.validate('$user.address?.city.length', {schema}), [])
+    assert.strictEqual(c.validate('$user.address.city', {schema}).length, 1)
+    assert.strictEqual(c.optimize('null ?? $x'), '$x')
+    assert.strictEqual(c.optimize('$a?.b ?? 1', {vars: {a: null}}), '1')
+  })
+
+  it('should explain which operand of `??` was used', function () {
+    assert.strictEqual(c('$zero ?? 1')(vars, {explain: true}).text, '$zero ?? 1 → 0\n  $zero → 0\n  1 (skipped)')
+  })
+})
+
+describe('Set operators', function () {
+  const c = conscript()
+  const vars = {tags: ['A', 'b'], objs: [{a: 1}, {b: 2}], none: null}
+
+  it('should test whether any or all elements are in a collection', function () {
+    assert.strictEqual(c('$tags any in ["b", "c"]')(vars), true)
+    assert.strictEqual(c('$tags any in ["a", "c"]')(vars), false)
+    assert.strictEqual(c('$tags any ~in ["a", "c"]')(vars), true)
+    assert.strictEqual(c('$tags all in ["A", "b", "c"]')(vars), true)
+    assert.strictEqual(c('$tags all in ["a", "b"]')(vars), false)
+    assert.strictEqual(c('$tags all ~in ["a", "B"]')(vars), true)
+    assert.strictEqual(c('["ab", "c"] all in "abc"')(), true)
+    assert.strictEqual(c('"b" any in $tags')(vars), true)
+    assert.strictEqual(c('$none any in [1]')(vars), false)
+    assert.strictEqual(c('$tags !any in ["c"]')(vars), true)
+    assert.strictEqual(c('$tags !all ~in ["a"]')(vars), true)
+  })
+
+  it('should compare collections as sets', function () {
+    assert.strictEqual(c('$tags intersects ["b", "c"]')(vars), true)
+    assert.strictEqual(c('$tags intersects ["B"]')(vars), false)
+    assert.strictEqual(c('$tags ~intersects ["B"]')(vars), true)
+    assert.strictEqual(c('$tags !intersects ["c"]')(vars), true)
+    assert.strictEqual(c('["b"] subset of $tags')(vars), true)
+    assert.strictEqual(c('[] subset of $tags')(vars), true)
+    assert.strictEqual(c('["b", "c"] subset of $tags')(vars), false)
+    assert.strictEqual(c('["a"] ~subset of $tags')(vars), true)
+    assert.strictEqual(c('$tags superset of ["A"]')(vars), true)
+    assert.strictEqual(c('$tags ~superset of ["a", "B"]')(vars), true)
+    assert.strictEqual(c('$tags !superset of ["c"]')(vars), true)
+  })
+
+  it('should compare elements with deep equality', function () {
+    assert.strictEqual(c('[$x] subset of $objs')({x: {a: 1}, objs: vars.objs}), true)
+    assert.strictEqual(c('$x subset of $objs')({x: [{b: 2}], objs: vars.objs}), true)
+    assert.strictEqual(c('[[1, 2]] subset of [[1, 2], [3]]')(), true)
+    assert.strictEqual(c('[-0] subset of [0]')(), false)
+    assert.strictEqual(c('[0] intersects [0]')(), true)
+  })
+
+  it('should find the union and intersection of arrays', function () {
+    assert.deepStrictEqual(c('$tags union ["b", "c"]')(vars), ['A', 'b', 'c'])
+    assert.deepStrictEqual(c('[1, 2, 2, 3] intersect [2, 3, 4]')(), [2, 3])
+    assert.deepStrictEqual(c('$objs union [$x]')({objs: vars.objs, x: {a: 1}}), vars.objs)
+    assert.deepStrictEqual(c('$objs intersect [$x]')({objs: vars.objs, x: {b: 2}}), [{b: 2}])
+    assert.deepStrictEqual(c('1 union 2')(), [1, 2])
+    assert.strictEqual(c('$tags union ["c"] superset of ["A", "c"]')(vars), true)
+  })
+
+  it('should be supported by the JavaScript compiler', function () {
+    const js = conscript({compile: 'js'})
+    for (const script of ['$tags any ~in ["a"]', '$tags !subset of ["A"]', '$tags union ["c"]']) {
+      assert.deepStrictEqual(js(script)(vars), c(script)(vars), script)
+    }
+  })
+})
+
+describe('Let bindings', function () {
+  const c = conscript()
+
+  it('should bind names for use in the body', function () {
+    const order = {customer: {address: {country: 'CA'}}}
+    assert.strictEqual(c('let c = $order.customer.address.country in c = "US" | c = "CA"')({order}), true)
+    assert.strictEqual(c('let a = 2, b = a * 3 in a + b')(), 8)
+    assert.strictEqual(c('let a = 1 in let b = a + 1 in $b')(), 2)
+    assert.strictEqual(c('let\n  a = 1\nin\n  a')(), 1)
+  })
+
+  it('should shadow variables and parameters', function () {
+    assert.strictEqual(c('let x = 2 in x + $x')({x: 10}), 4)
+    assert.strictEqual(c('let x = $x + 1 in x')({x: 10}), 11)
+    assert.strictEqual(c('(x){let x = x * 2 in x}(3) + $x')({x: 10}), 16)
+    assert.deepStrictEqual(c('let n = 10 in [1, 2].map((x){x + n})')(), [11, 12])
+    assert.strictEqual(c('let a = 1 in $("a")')(), 1)
+    assert.strictEqual(c('(let a = 1 in a) = 1 & a = "a"')(), true)
+  })
+
+  it('should evaluate each binding at most once', function () {
+    let count = 0
+    const vars = {get x () { return ++count }}
+    assert.strictEqual(c('let a = $x in a + a + $a')(vars), 3)
+    assert.strictEqual(count, 1)
+    assert.strictEqual(c('let a = $x in 1')(vars), 1)
+    assert.strictEqual(count, 1)
+    assert.deepStrictEqual(c('let a = $x in [1, 2].map((y){a})')(vars), [2, 2])
+    assert.strictEqual(count, 2)
+  })
+
+  it('should compare the body to defaultLeft', function () {
+    assert.strictEqual(c('let a = 2 in a + 1')({}, {defaultLeft: 3}), true)
+    assert.strictEqual(c('let a = .length in a > 2')({}, {defaultLeft: 'abc'}), true)
+  })
+
+  it('should require the `in` operator to be in parentheses in a binding', function () {
+    assert.strictEqual(c('let a = (1 in [1]) in a')(), true)
+    assert.throws(() => c('let a = 1, in a'), ConscriptSyntaxError)
+    assert.throws(() => c('let a = in a'), ConscriptSyntaxError)
+    assert.strictEqual(c('let = 1')({let: 1}), true)
+  })
+
+  it('should read a name that begins with `let` when there is no `in`', function () {
+    assert.strictEqual(c('let me = 1')({'let me': 1}), true)
+    assert.strictEqual(c('let me = "a, b"')({'let me': 'a, b'}), true)
+    assert.strictEqual(c('let me = (1 in [1])')({'let me': true}), true)
+    assert.strictEqual(c('let me = 1')(), false)
+  })
+
+  it('should be supported by the other tools', function () {
+    assert.strictEqual(c.stringify('let  a=1,b = (2 in [2]) in  a'), 'let a = 1, b = (2 in [2]) in a')
+    assert.strictEqual(c.optimize('let a = 2, b = a * 3 in b + 1'), '7')
+    assert.strictEqual(c.optimize('let a = 1 + 1 in a * $x + (1 + 1)'), 'let a = 2 in a * $x + 2')
+    assert.deepStrictEqual(c.dependencies('let a = $o.b in a.c + $d').variables, ['o', 'd'])
+    assert.deepStrictEqual(c.validate('let a = $n in a - 1', {schema: {n: 'boolean'}}).map(e => e.message), ['Cannot perform - operation on a non-number'])
+    assert.strictEqual(c('let a = 5 in a > 2', {explain: true})().text, 'let a = 5 in a > 2 → true\n  a (5) > 2 → true')
+  })
+
+  it('should be supported by the JavaScript compiler and async mode', async function () {
+    const js = conscript({compile: 'js'})
+    const scripts = ['let a = $x, b = a * 2 in a + b', '(y){let z = y in z + $z}(1)', 'let a = $x in $("a")']
+    for (const script of scripts) assert.deepStrictEqual(js(script)({x: 2}), c(script)({x: 2}), script)
+    let count = 0
+    assert.strictEqual(await c.async('let a = $x in a + a')({get x () { return Promise.resolve(++count) }}), 2)
+  })
+})
+
+describe('Library functions', function () {
+  it('should call defined functions by name', function () {
+    const c = conscript()
+    assert.strictEqual(c.define('isAdult', '(u){u.age >= 18}'), c)
+    assert.strictEqual(c('isAdult($user)')({user: {age: 21}}), true)
+    assert.strictEqual(c('$isAdult($user)')({user: {age: 12}}), false)
+    assert.deepStrictEqual(c('$users.filter(isAdult).length')({users: [{age: 21}, {age: 12}]}), 1)
+    assert.strictEqual(c('isAdult is function')({isAdult: true}), true)
+  })
+
+  it('should define functions from a prelude of `def` statements', function () {
+    const c = conscript()
+    c.define('\n  def double(x){x * 2}\n  def quadruple(x){double(double(x))}; def plusN(x){x + $n}\n')
+    assert.strictEqual(c('quadruple(2)')(), 8)
+    assert.strictEqual(c('plusN(1)')({n: 2}), 3)
+    assert.throws(() => c.define('def a(x){x} b'), ConscriptSyntaxError)
+    assert.throws(() => c.define('def a'), ConscriptSyntaxError)
+    assert.throws(() => c.define('def a 1'), ConscriptSyntaxError)
+  })
+
+  it('should take precedence over variables of the same name', async function () {
+    for (const compile of ['closures', 'js']) {
+      const c = conscript({compile})
+      c.define('total', '(x){x * 2}')
+      assert.strictEqual(c('total(2)')({total: () => 0}), 4)
+      assert.strictEqual(c('$total is function')({total: 5}), true)
+    }
+    const c = conscript()
+    c.define('total', '(x){x * 2}')
+    assert.strictEqual(await c.async('total(2)')({total: () => 0}), 4)
+  })
+
+  it('should report variables in the schema which they hide', function () {
+    const c = conscript()
+    c.define('total', '(x){x * 2}')
+    assert.deepStrictEqual(c.validate('total(2) > $max', {schema: {max: 'number'}}), [])
+    assert.deepStrictEqual(c.validate('total > 1 | $total(1) > 1', {schema: {total: 'number'}, unknownsAre: 'errors'}).map(e => e.message), [
+      'The `total` variable is hidden by the library function of the same name',
+      'The `total` variable is hidden by the library function of the same name',
+    ])
+    assert.throws(() => c('$total > 1', {schema: {total: 'number'}}), ConscriptSchemaError)
+  })
+
+  it('should not see the parameters or bindings of the caller', function () {
+    const c = conscript({unknownsAre: 'null'})
+    c.define('getN', '(x){n}')
+    assert.strictEqual(c('let n = 1 in getN(0)')(), null)
+    assert.strictEqual(c('(n){getN(0)}(1)')({n: 2}), 2)
+  })
+
+  it('should reject recursion and cycles', function () {
+    const c = conscript()
+    assert.throws(() => c.define('f', '(x){f(x - 1)}'), {name: 'ConscriptSyntaxError', message: 'Recursive function: `f` → `f`'})
+    c.define('a', '(x){b(x)}')
+    assert.throws(() => c.define('b', '(x){a(x)}'), {message: 'Functions call each other in a cycle: `b` → `a` → `b`'})
+    assert.throws(() => c.define('def c(x){d(x)} def d(x){c(x)}'), ConscriptSyntaxError)
+    assert.throws(() => c.define('e', '(x){$("e")(x)}'), ConscriptSyntaxError)
+    assert.throws(() => c.define('g', '1 + 1'), ConscriptSyntaxError)
+    c.define('b', '(x){x}')
+    assert.strictEqual(c('a(1)')(), 1)
+  })
+
+  it('should report errors at their location in the definition', function () {
+    const c = conscript()
+    c.define('bad', '(x){x.y.z}')
+    assert.throws(() => c('bad(1)')(), {name: 'ConscriptRuntimeError', source: '(x){x.y.z}', snippet: 'x.y'})
+  })
+
+  it('should be supported by the other tools', async function () {
+    const c = conscript()
+    c.define('inc', '(x){x + 1}')
+    assert.deepStrictEqual(c.validate('inc(1) + 1'), [])
+    c.define('two', '(){1 + 1}')
+    assert.strictEqual(c('two()')({}, {defaultLeft: 2}), true)
+    assert.strictEqual(await c.async('inc($x)')({x: Promise.resolve(1)}), 2)
+    const js = conscript({compile: 'js'})
+    js.define('inc', '(x){x + 1}')
+    assert.strictEqual(js('inc($x) = 2')({x: 1}), true)
+    js.define('two', '(){1 + 1}')
+    assert.strictEqual(js('two()')({}, {defaultLeft: 2}), true)
+  })
+})
+
+describe('Modules', function () {
+  const c = conscript()
+  const modules = {
+    users: '# User rules\nadult: $user.age >= 18\nsenior: $user.age >= 65',
+    a: 'import "b"\nx: 1',
+    b: 'import "a"\ny: 2',
+  }
+  const load = path => modules[path]
+
+  it('should compile named rules which refer to each other', function () {
+    const rules = c.compileModule('\n  adult: $user.age >= 18\n  cheap: $item.price < 100\n  canBuy: adult & cheap; blocked: $user.blocked\n')
+    assert.deepStrictEqual(Object.keys(rules), ['adult', 'cheap', 'canBuy', 'blocked'])
+    assert.strictEqual(rules.canBuy({user: {age: 21}, item: {price: 50}}), true)
+    assert.strictEqual(rules.canBuy({user: {age: 12}, item: {price: 50}}), false)
+    assert.strictEqual(c.compileModule('a: $x + 1\nb: a * 2').b({x: 1}), 4)
+    assert.strictEqual(c.compileModule('a: 1 + 1\nb: a').b({}, {defaultLeft: 2}), true)
+  })
+
+  it('should continue indented lines and ignore comments', function () {
+    const rules = c.compileModule('# Rules\n// More rules\nok: $a // first\n  & $b\n  # between\n  & $c\nnot: !ok // "quoted"\ndate: $d > #2020-01-01#\nurl: "http://x"')
+    assert.strictEqual(rules.ok({a: true, b: true, c: true}), true)
+    assert.strictEqual(rules.ok({a: true, b: true, c: false}), false)
+    assert.strictEqual(rules.not({a: true, b: false}), true)
+    assert.strictEqual(rules.date({d: new Date('2021-01-01')}), true)
+    assert.strictEqual(rules.url(), 'http://x')
+  })
+
+  it('should import rules with the `load` option', function () {
+    const all = c.compileModule('import "users"\nok: adult & !senior', {load})
+    assert.deepStrictEqual(Object.keys(all), ['ok'])
+    assert.strictEqual(all.ok({user: {age: 30}}), true)
+    const named = c.compileModule('import adult from "users"; import senior from "users"\nok: adult & !senior', {load})
+    assert.strictEqual(named.ok({user: {age: 70}}), false)
+    assert.throws(() => c.compileModule('import "users"'), {message: 'Modules can only be imported if the `load` option is set'})
+    assert.throws(() => c.compileModule('import young from "users"', {load}), {message: 'Module `users` has no rule `young`'})
+    assert.throws(() => c.compileModule('import "a"', {load}), {message: 'Modules import each other in a cycle: `a` → `b` → `a`'})
+    assert.throws(() => c.compileModule('import "users"\nadult: true', {load}), {message: '`adult` is defined more than once'})
+  })
+
+  it('should reject invalid modules', function () {
+    assert.throws(() => c.compileModule('a: b\nb: a'), {name: 'ConscriptSyntaxError', message: 'Rules refer to each other in a cycle: `a` → `b` → `a`'})
+    assert.throws(() => c.compileModule('a: 1 + a'), {message: 'Rule refers to itself: `a` → `a`'})
+    assert.throws(() => c.compileModule('a: 1\na: 2'), {message: '`a` is defined more than once', line: 2})
+    assert.throws(() => c.compileModule('a = 1'), {message: 'Expected a rule, such as `name: expression`', snippet: 'a = 1'})
+    assert.throws(() => c.compileModule('a:'), ConscriptSyntaxError)
+    assert.throws(() => c.compileModule('import users'), ConscriptSyntaxError)
+  })
+
+  it('should share options and the library', async function () {
+    const d = conscript()
+    d.define('double', '(x){x * 2}')
+    assert.strictEqual(d.compileModule('a: double($x)\nb: a + 1').b({x: 2}), 5)
+    assert.strictEqual(conscript({compile: 'js'}).compileModule('a: $x + 1\nb: a * 2').b({x: 1}), 4)
+    assert.strictEqual(await d.compileModule('a: $x + 1\nb: a * 2', {async: true}).b({x: Promise.resolve(1)}), 4)
+    assert.strictEqual(d.compileModule('a: $x + 1\nb: a > 2', {explain: true}).b({x: 5}).text, 'a (6) > 2 → true')
+    assert.throws(() => d.compileModule('a: $x - 1', {schema: {x: 'boolean'}}), ConscriptSchemaError)
+    assert.throws(() => d.compileModule('a: 1\nb: (x){x.y.z}(1)').b(), {name: 'ConscriptRuntimeError', line: 2, snippet: 'x.y'})
+  })
+})
+
+describe('Comments', function () {
+  const c = conscript({allowRegexLiterals: true})
+
+  it('should ignore line and block comments', function () {
+    assert.strictEqual(c('$a // comment\n  & $b /* & false */ | $c')({a: true, b: false, c: true}), true)
+    assert.strictEqual(c('(x){x /* double */ * 2}(2) // result')(), 4)
+    assert.strictEqual(c('/* leading */ 1 + /* multi\nline */ 2')(), 3)
+    assert.deepStrictEqual(c.parse('1 + /* a */ 2'), c.parse('1 +         2'))
+  })
+
+  it('should leave comment markers in literals alone', function () {
+    assert.strictEqual(c('"http://x" = "http:/" + "/x"')(), true)
+    assert.strictEqual(c('\'/* a */\'.length')(), 7)
+    assert.strictEqual(c('@a//b@ matches "a//b"')(), true)
+    assert.strictEqual(c('${a//b} = 1')({'a//b': 1}), true)
+    assert.strictEqual(c('$x.{a//b} = 1 & $x.{c/*d} = 2')({x: {'a//b': 1, 'c/*d': 2}}), true)
+    assert.strictEqual(c('$x?.{a//b} ?? 3')({x: {'a//b': 1}}), 1)
+    assert.strictEqual(c('"a\\"//" = \'a"//\' // it\'s')(), true)
+    assert.strictEqual(c('#2020-01-01# < #2021-01-01# // dates')(), true)
+  })
+
+  it('should lay out chains over lines the same way as on one line', function () {
+    const vars = {a: true, b: false, c: true}
+    assert.deepStrictEqual(withoutPositions(c.parse('$a\n  & $b // b\n  | $c')), withoutPositions(c.parse('$a & $b | $c')))
+    assert.strictEqual(c('$a &\n$b |\n\t$c')(vars), true)
+  })
+
+  it('should report unterminated block comments', function () {
+    assert.throws(() => c('$a /* x\n& $b'), {name: 'ConscriptSyntaxError', message: 'Unterminated comment', offset: 3})
+    assert.throws(() => c('1 /*/'), ConscriptSyntaxError)
+  })
+
+  it('should be supported in preludes and modules', function () {
+    const d = conscript()
+    d.define('// Helpers\ndef double(x){x * 2} /* quadruple */ def quad(x){double(double(x))}')
+    assert.strictEqual(d('quad(1)')(), 4)
+    const rules = d.compileModule('# Don\'t edit\nok: $a /* see\nbelow */\n  // indented\n\n  & $b\n  # also ignored\nlater: #2020-01-01# < $date')
+    assert.deepStrictEqual(Object.keys(rules), ['ok', 'later'])
+    assert.strictEqual(rules.ok({a: true, b: false}), false)
+  })
+})
+
+describe('Database queries', function () {
+  const c = conscript({allowRegexLiterals: true})
+  const {ConscriptTranslationError} = conscript
+
+  it('should translate conditions into SQL', function () {
+    assert.deepStrictEqual(c.toSql('$age >= 18 & ($country = "US" | $country = "CA")'), {where: '"age" >= ? AND ("country" = ? OR "country" = ?)', params: [18, 'US', 'CA'], residual: null})
+    assert.deepStrictEqual(c.toSql('3 < $c & $user.name ~= "Ann"'), {where: '"c" > ? AND LOWER("user"."name") LIKE ? ESCAPE \'!\'', params: [3, 'ann'], residual: null})
+    assert.deepStrictEqual(c.toSql('$a ^= "5%_" & $a $= "x" & $a *~= "Y"').params, ['5!%!_%', '%x', '%y%'])
+    assert.deepStrictEqual(c.toSql('$x in [1, null] & $y is null & $z is not null'), {where: '("x" IN (?) OR "x" IS NULL) AND "y" IS NULL AND "z" IS NOT NULL', params: [1], residual: null})
+    assert.deepStrictEqual(c.toSql('$active & $a = 1 + 1 & $d < #2020-01-01#').params, [true, 2, new Date('2020-01-01')])
+    assert.deepStrictEqual(c.toSql('$created > $cutoff', {vars: {cutoff: new Date('2020-01-01')}}).params, [new Date('2020-01-01')])
+    assert.deepStrictEqual(c.toMongo('$created > $cutoff', {vars: {cutoff: new Date('2020-01-01')}}).filter, {created: {$gt: new Date('2020-01-01')}})
+  })
+
+  it('should keep the meaning of negations when columns are null', function () {
+    assert.strictEqual(c.toSql('!($a = 1 | $b > 2)').where, '("a" = ? OR "b" > ?) IS NOT TRUE')
+    assert.strictEqual(c.toSql('$a <> 1 & $b not in [2] & $c !^= "x"').where, '("a" = ?) IS NOT TRUE AND ("b" IN (?)) IS NOT TRUE AND ("c" LIKE ? ESCAPE \'!\') IS NOT TRUE')
+    assert.strictEqual(c.toSql('!($a is null) & $b <> null').where, '"a" IS NOT NULL AND "b" IS NOT NULL')
+  })
+
+  it('should translate conditions into MongoDB filters', function () {
+    assert.deepStrictEqual(c.toMongo('$age >= 18 & ($country = "US" | $country = "CA")').filter, {$and: [{age: {$gte: 18}}, {$or: [{country: 'US'}, {country: 'CA'}]}]})
+    assert.deepStrictEqual(c.toMongo('$a <> 1 & $b not in [2] & $c is null & $d !is null').filter, {$and: [{a: {$ne: 1}}, {b: {$nin: [2]}}, {c: null}, {d: {$ne: null}}]})
+    assert.deepStrictEqual(c.toMongo('$a ^= "x." & $b ~= "Y" & !($c < 1 | $d)').filter, {$and: [{a: {$regex: '^x\\.'}}, {b: {$regex: '^Y$', $options: 'i'}}, {$nor: [{$or: [{c: {$lt: 1}}, {d: true}]}]}]})
+    assert.deepStrictEqual(c.toMongo('$user.name matches @^a.c$@i').filter, {'user.name': {$regex: '^a.c$', $options: 'i'}})
+    assert.deepStrictEqual(c.toMongo('true').filter, {})
+  })
+
+  it('should check whether MongoDB array fields contain a value', function () {
+    assert.deepStrictEqual(c.toMongo('$tags *= 1').filter, {$or: [{tags: {$elemMatch: {$eq: 1}}}, {tags: {$not: {$type: 'array'}, $regex: '1'}}]})
+    assert.deepStrictEqual(c.toMongo('$tags *~= "A."').filter, {$or: [{tags: {$elemMatch: {$regex: '^A\\.$', $options: 'i'}}}, {tags: {$not: {$type: 'array'}, $regex: 'A\\.', $options: 'i'}}]})
+  })
+
+  it('should reject MongoDB paths with reserved characters', function () {
+    for (const script of ['${$where} = 1', '$a.{$expr} = 1', '$a.{b.c} = 1', '$a.("b\u0000") = 1', '$a.{} = 1']) {
+      assert.throws(() => c.toMongo(script), {name: 'ConscriptTranslationError', message: /the variable’s path can’t be used as a field name$/}, script)
+    }
+    assert.deepStrictEqual(c.toMongo('${$where} = 1', {fields: () => 'where'}).filter, {where: 1})
+    assert.strictEqual(c.toSql('${$where} = 1').where, '"$where" = ?')
+  })
+
+  it('should map variables to fields and use known values', function () {
+    assert.deepStrictEqual(c.toSql('$user.age > $min', {fields: {'user.age': 'u.age'}, vars: {min: 3}}), {where: 'u.age > ?', params: [3], residual: null})
+    assert.deepStrictEqual(c.toMongo('$a = 1', {fields: path => 'doc_' + path.join('_')}).filter, {doc_a: 1})
+    assert.throws(() => c.toSql('$b = 1', {fields: {a: 'a'}}), {name: 'ConscriptTranslationError', message: 'Cannot translate `$b` to SQL: the variable isn’t mapped to a field', snippet: '$b'})
+  })
+
+  it('should support SQL placeholders and regular expressions', function () {
+    assert.strictEqual(c.toSql('$a = 1 & $b = 2', {placeholder: i => '$' + (i + 1)}).where, '"a" = $1 AND "b" = $2')
+    assert.deepStrictEqual(c.toSql('$s matches @a.c@', {regexOperator: '~'}), {where: '"s" ~ ?', params: ['a.c'], residual: null})
+    assert.throws(() => c.toSql('$s matches @a.c@'), ConscriptTranslationError)
+    assert.throws(() => c.toSql('$s matches @a.c@i', {regexOperator: '~'}), ConscriptTranslationError)
+  })
+
+  it('should report or leave out parts that can’t be translated', function () {
+    assert.throws(() => c.toMongo('$a = 1 & $f($b)'), {name: 'ConscriptTranslationError', message: 'Cannot translate `$f($b)` to MongoDB: it isn’t a condition'})
+    assert.throws(() => c.toSql('$a + 1 > 2'), ConscriptTranslationError)
+    assert.throws(() => c.toSql('"a" ^= $b'), ConscriptTranslationError)
+    assert.throws(() => c.toSql('$a any in [1]'), ConscriptTranslationError)
+    assert.deepStrictEqual(c.toSql('$a = 1 & ($f($b) | $c = 2) & $d = 3', {residual: true}), {where: '"a" = ? AND "d" = ?', params: [1, 3], residual: '$f($b) | $c = 2'})
+    assert.deepStrictEqual(c.toMongo('$a + 1 > 2', {residual: true}), {filter: {}, residual: '$a + 1 > 2'})
+  })
+
+  it('should translate wildcard patterns', function () {
+    assert.deepStrictEqual(c.toSql('$a like "5\\%!_%" & $b !~like "X_"'), {where: '"a" LIKE ? ESCAPE \'!\' AND (LOWER("b") LIKE ? ESCAPE \'!\') IS NOT TRUE', params: ['5!%!!_%', 'x_'], residual: null})
+    assert.deepStrictEqual(c.toMongo('$a like "a.%"').filter, {a: {$regex: '^a\\.[\\s\\S]*$'}})
+    assert.throws(() => c.toSql('$a glob "*.js"'), ConscriptTranslationError)
+  })
+})
+
+describe('JsonLogic', function () {
+  const c = conscript()
+  const {ConscriptTranslationError} = conscript
+  const messages = result => result.differences.map(e => e.message)
+
+  it('should convert JsonLogic rules into scripts', function () {
+    assert.deepStrictEqual(c.fromJsonLogic({and: [{'<': [{var: 'temp'}, 110]}, {'===': [{var: 'pie.filling'}, 'apple']}]}), {script: '$temp < 110 & $pie?.filling = "apple"', differences: []})
+    assert.strictEqual(c.fromJsonLogic({if: [{'<': [{var: 'temp'}, 0]}, 'freezing', {'<': [{var: 'temp'}, 100]}, 'liquid', 'gas']}).script, '$temp < 0 ? "freezing" : $temp < 100 ? "liquid" : "gas"')
+    assert.strictEqual(c.fromJsonLogic({'<=': [1, {var: 'x'}, 10]}).script, '1 <= $x & $x <= 10')
+    assert.strictEqual(c.fromJsonLogic({var: ['a.0', 5]}).script, '$a?.{0} ?? 5')
+    assert.strictEqual(c.fromJsonLogic({'!==': [{var: 'a'}, null]}).script, '$a <> null')
+    assert.strictEqual(c.fromJsonLogic({in: [{var: 'x'}, ['a', 'b']]}).script, '$x in ["a", "b"]')
+  })
+
+  it('should convert array operations into methods with callbacks', function () {
+    const {script} = c.fromJsonLogic({some: [{var: 'pies'}, {'===': [{var: 'filling'}, 'apple']}]})
+    assert.strictEqual(script, '($pies ?? []).some((x){x?.filling = "apple"})')
+    assert.strictEqual(c(script)({pies: [null, {filling: 'apple'}]}), true)
+    assert.strictEqual(c(script)({}), false)
+    assert.strictEqual(c.fromJsonLogic({none: [{var: 'a'}, {map: [{var: 'b'}, {'===': [{var: ''}, 'x']}]}]}).script, '!($a ?? []).some((x){(x?.b ?? []).map((x1){x1 = "x"})})')
+  })
+
+  it('should report where the meaning of a JsonLogic rule could differ', function () {
+    assert.deepStrictEqual(messages(c.fromJsonLogic({'==': [{var: 'a'}, 1]})), ['`==` converts types in JsonLogic (e.g. "1" == 1), but Conscript compares values of different types as unequal'])
+    assert.strictEqual(c.fromJsonLogic({'===': [{var: 'a'}, 0]}).differences.length, 1)
+    assert.strictEqual(c.fromJsonLogic({'==': ['a', 'b']}).differences.length, 0)
+    assert.strictEqual(c.fromJsonLogic({'!': [{var: 'a'}]}).differences.length, 1)
+    assert.strictEqual(c.fromJsonLogic({'!': [{'<': [{var: 'a'}, 1]}]}).differences.length, 0)
+    assert.strictEqual(c.fromJsonLogic({all: [[1, 2], {'>': [{var: ''}, 0]}]}).differences.length, 1)
+    assert.strictEqual(c.fromJsonLogic({'/': [{var: 'a'}, 2]}).differences.length, 1)
+    assert.strictEqual(c.fromJsonLogic({'+': [1, 2]}).differences.length, 0)
+    assert.ok(c.fromJsonLogic({cat: ['a', {var: 'b'}]}).differences[0] instanceof ConscriptTranslationError)
+    assert.throws(() => c.fromJsonLogic({'==': [{var: 'a'}, 1]}, {strict: true}), ConscriptTranslationError)
+  })
+
+  it('should reject JsonLogic rules it cannot convert', function () {
+    assert.throws(() => c.fromJsonLogic({merge: [[1], [2]]}), /Cannot convert the JsonLogic operator `merge`/)
+    assert.throws(() => c.fromJsonLogic({var: 'a', b: 1}), /must be an object with one key/)
+    assert.throws(() => c.fromJsonLogic({var: {var: 'a'}}), /computed name/)
+  })
+
+  it('should convert scripts into JsonLogic rules', function () {
+    assert.deepStrictEqual(c.toJsonLogic('$temp < 110 & $pie.filling = "apple"'), {logic: {and: [{'<': [{var: 'temp'}, 110]}, {'===': [{var: 'pie.filling'}, 'apple']}]}, differences: []})
+    assert.deepStrictEqual(c.toJsonLogic('$temp < 0 ? "freezing" : $temp < 100 ? "liquid" : "gas"').logic, {if: [{'<': [{var: 'temp'}, 0]}, 'freezing', {'<': [{var: 'temp'}, 100]}, 'liquid', 'gas']})
+    assert.deepStrictEqual(c.toJsonLogic('$pies.some((p){p.filling = "apple"})').logic, {some: [{var: 'pies'}, {'===': [{var: 'filling'}, 'apple']}]})
+    assert.deepStrictEqual(c.toJsonLogic('$y is not null & !!$z & $x not in ["a"]').logic, {and: [{'!==': [{var: 'y'}, null]}, {'!!': {var: 'z'}}, {'!': {in: [{var: 'x'}, ['a']]}}]})
+    assert.deepStrictEqual(c.toJsonLogic('"a" + "b" + "c"').logic, {cat: ['a', 'b', 'c']})
+    assert.deepStrictEqual(c.toJsonLogic('$a?.b ?? "c"').logic, {var: ['a.b', 'c']})
+    // Math operators all have the same precedence in Conscript
+    assert.deepStrictEqual(c.toJsonLogic(c.parse('1 + 2 * 3')).logic, {'*': [{'+': [1, 2]}, 3]})
+  })
+
+  it('should report where the meaning of a script could differ', function () {
+    const [difference] = c.toJsonLogic('$a > 1 & $b = $c').differences
+    assert.ok(difference instanceof ConscriptTranslationError)
+    assert.strictEqual(difference.snippet, '$b = $c')
+    assert.strictEqual(c.toJsonLogic('$a.every((x){x > 0})').differences.length, 1)
+    assert.strictEqual(c.toJsonLogic('$a + 1').differences.length, 1)
+    assert.strictEqual(c.toJsonLogic('a = 1').differences.length, 1)
+    assert.strictEqual(conscript({unknownsAre: 'null'}).toJsonLogic('a = 1').differences.length, 0)
+    assert.throws(() => c.toJsonLogic('$a & $b', {strict: true}), ConscriptTranslationError)
+  })
+
+  it('should report reading built-in properties as fields', function () {
+    const {logic, differences} = c.toJsonLogic('$tags.count > 1 & $user.name.upper = "A"')
+    assert.deepStrictEqual(logic, {and: [{'>': [{var: 'tags.count'}, 1]}, {'===': [{var: 'user.name.upper'}, 'A']}]})
+    assert.deepStrictEqual(differences.map(e => e.snippet), ['$tags.count', '$user.name.upper'])
+    assert.match(differences[0].message, /`count` is a Conscript property of arrays and strings/)
+    assert.strictEqual(c.toJsonLogic('[$a.b.c, $d.("year")]').differences.length, 1)
+    assert.strictEqual(conscript({methods: {number: {double: x => x * 2}}}).toJsonLogic('$x.double').differences.length, 1)
+    assert.throws(() => c.toJsonLogic('$d.year', {strict: true}), /`year` is a Conscript property of dates/)
+  })
+
+  it('should reject scripts it cannot convert', function () {
+    assert.throws(() => c.toJsonLogic('$x ^= "a"'), /no equivalent of the `\^=` operator/)
+    assert.throws(() => c.toJsonLogic('$a.map((x){$y})'), /callbacks can only use their parameter/)
+    assert.throws(() => c.toJsonLogic('let a = 1 in a'), e => e instanceof ConscriptTranslationError && e.snippet === 'let a = 1 in a')
+  })
+})
+
+describe('Safe regex engine', function () {
+  const c = conscript({allowRegexLiterals: true, regexEngine: 'safe'})
+
+  it('should match like JavaScript regexes', function () {
+    const patterns = [
+      ['^ab+c$', ''], ['(a|b)*c', 'i'], ['^[^a-c]+$', 'i'], ['\\bfoo\\b', ''], ['^\\d{2,3}-\\w$', ''], ['^a.c$', ''], ['^a.c$', 's'],
+      ['^x$', 'm'], ['^(?:a|ab)(?:c|bcd)d*$', ''], ['^.$', 'u'], ['^.$', ''], ['[\\d-z]', ''], ['a{,2}', ''], ['^(?<n>a)+?$', ''], ['[^]', ''],
+    ]
+    const strings = ['abbc', 'ac', 'ABAC', 'DEF', 'dAf', 'a foo b', 'afoob', '12-a', '1234-a', 'a\nc', 'abc', 'a\nx\nb', 'abcd', '😀', '-', 'a{,2}', 'aaa', '']
+    for (const [pattern, flags] of patterns) {
+      const safe = c('$s matches @' + pattern + '@' + flags)
+      const native = new RegExp(pattern, flags)
+      for (const s of strings) assert.strictEqual(safe({s}), native.test(s), '@' + pattern + '@' + flags + ' matching ' + JSON.stringify(s))
+    }
+  })
+
+  it('should match in linear time', function () {
+    assert.strictEqual(c('$s matches @^(a+)+$@')({s: 'a'.repeat(10000) + '!'}), false)
+    assert.strictEqual(c('$s matches @^(a|a)*$@', {compile: 'js'})({s: 'a'.repeat(10000)}), true)
+  })
+
+  it('should run regexes from variables', function () {
+    assert.strictEqual(c('$r matches "Example"')({r: /^(e|x)+am/i}), true)
+    assert.throws(() => c('$r matches "x"')({r: /(?=x)/}), conscript.ConscriptRuntimeError)
+  })
+
+  it('should reject unsupported syntax when a script is compiled', function () {
+    const {ConscriptSyntaxError} = conscript
+    assert.throws(() => c('$s matches @(a)\\1@'), e => e instanceof ConscriptSyntaxError && e.snippet === '@(a)\\1@' && /Backreferences/.test(e.message))
+    assert.throws(() => c('$s matches @a(?=b)@'), /Lookahead assertions are not supported/)
+    assert.throws(() => c('$s matches @(?<!a)b@'), /Lookbehind assertions are not supported/)
+    assert.throws(() => c('$s matches @\\p{L}@u'), /Unicode property escapes are not supported/)
+    assert.throws(() => c('$s matches @(?:a{1000}){1000}@'), /too large/)
+    assert.throws(() => c('$s matches @a(b@'), ConscriptSyntaxError)
+    assert.throws(() => conscript({allowRegexLiterals: true, regexEngine: 'x'})('$s matches @a@'), TypeError)
+  })
+
+  it('should return regexes which can be used as RegExp objects', function () {
+    const regex = c('@^a+$@i')()
+    assert.ok(regex instanceof RegExp)
+    assert.strictEqual(regex.source, '^a+$')
+    assert.strictEqual(regex.test('AAA'), true)
+  })
+
+  it('should find the same matches and groups as JavaScript regexes', function () {
+    const safe = c('@(?<a>a|ab)(c|bcd)(x)?@g')()
+    const native = /(?<a>a|ab)(c|bcd)(x)?/g
+    const s = 'abcd acx'
+    assert.deepStrictEqual(safe.exec(s), native.exec(s))
+    assert.strictEqual(safe.lastIndex, native.lastIndex)
+    assert.deepStrictEqual([...s.matchAll(safe)], [...s.matchAll(native)])
+    assert.deepStrictEqual(s.match(safe), s.match(native))
+    assert.strictEqual(s.replace(safe, '[$<a>$3]'), s.replace(native, '[$<a>$3]'))
+    assert.strictEqual(s.search(safe), s.search(native))
+    assert.deepStrictEqual(c('$s.split(@(,)\\s*|x*@)')({s: 'a, b,c'}), 'a, b,c'.split(/(,)\s*|x*/))
+  })
+
+  it('should run every regex method in linear time', function () {
+    const s = 'a'.repeat(10000) + '!'
+    const regex = flags => c('@(a+)+$@' + flags)()
+    assert.strictEqual(regex('').exec(s), null)
+    assert.strictEqual(s.match(regex('')), null)
+    assert.deepStrictEqual([...s.matchAll(regex('g'))], [])
+    assert.strictEqual(s.replace(regex('g'), 'b'), s)
+    assert.strictEqual(s.search(regex('')), -1)
+    assert.deepStrictEqual(s.split(regex('')), [s])
+    assert.deepStrictEqual(c('$s.split(@(a+)+$@)')({s}), [s])
+  })
+})
+
+describe('Wildcard patterns', function () {
+  const c = conscript()
+
+  it('should match SQL LIKE patterns', function () {
+    for (const t of [
+      '"hello" like "h%o"', '"hello" like "h_llo"', '"hello" like "%"', '"" like "%"', '"hello" !like "H%"', '"Hello" ~like "h%"',
+      '"Hello" !~like "x%"', '"a\nb" like "a_b"', '"😀!" like "_!"', '"50%" like "50\\%"', '"500" !like "50\\%"', '"a.b" !like "a.b_"', '123 like "1%3"',
+    ]) assert.strictEqual(c(t)(), true, t)
+  })
+
+  it('should match glob patterns', function () {
+    for (const t of [
+      '"src/a/b.js" glob "src/**/*.js"', '"src/b.js" glob "src/**/*.js"', '"src/a/b.js" !glob "src/*.js"', '"a/b" glob "**"', '"a/b" !glob "*"',
+      '"cat" glob "[bc]at"', '"bat" glob "[a-c]at"', '"hat" glob "[!bc]at"', '"b/t" !glob "b?t"', '"b?t" glob "b\\?t"', '"bxt" !glob "b\\?t"', '"a.js" glob "*.js"',
+    ]) assert.strictEqual(c(t)(), true, t)
+  })
+
+  it('should support variables and every compiler', function () {
+    assert.strictEqual(c('$s like $p')({s: 'abc', p: 'a%'}), true)
+    assert.strictEqual(c('$s !glob "*.tmp"', {compile: 'js'})({s: 'a.js'}), true)
+    return c.async('$s ~like "A%"')({s: 'abc'}).then(result => assert.strictEqual(result, true))
+  })
+
+  it('should match in linear time', function () {
+    assert.strictEqual(c('$s like $p')({s: 'a'.repeat(10000), p: '%a%a%a%a%a%a%a%b'}), false)
+    assert.strictEqual(c('$s glob $p')({s: 'a/'.repeat(5000), p: '**/**/**/**/*b'}), false)
+  })
+
+  it('should report invalid patterns', function () {
+    assert.throws(() => c('$s glob "[c-a]"')({s: 'b'}), e => e instanceof conscript.ConscriptRuntimeError && /Range out of order/.test(e.message))
+  })
+})
+
+describe('Property access', function () {
+  class User {
+    constructor (name, password) {
+      this.name = name
+      this.password = password
+      this.remove = () => 'removed'
+    }
+
+    get initial () { return this.name[0] }
+    greet (greeting) { return greeting + ', ' + this.name }
+  }
+  class Admin extends User {}
+  const user = new User('Ann', 'secret')
+  const vars = {user, admin: new Admin('Bo', 'pw'), obj: Object.defineProperty({a: 1}, 'b', {get: () => 2, enumerable: true}), map: new Map([['constructor', 1]])}
+
+  it('should only read own data properties by default', function () {
+    const c = conscript()
+    for (const s of ['$user.constructor', '$user.__proto__', '$user.greet', '$user.initial', '$obj.b', '$obj.constructor', '$obj.toString']) {
+      assert.strictEqual(c(s)(vars), null, s)
+    }
+    assert.strictEqual(c('$user.name')(vars), 'Ann')
+    assert.strictEqual(c('$map.constructor')(vars), 1)
+    assert.deepStrictEqual(c('$obj.keys')(vars), ['a'])
+    assert.deepStrictEqual(c('$obj.values', {compile: 'js'})(vars), [1])
+  })
+
+  it('should support allow and deny lists for classes', function () {
+    const allow = conscript({properties: new Map([[User, {allow: ['name', 'initial', 'greet', 'constructor']}]])})
+    assert.strictEqual(allow('$user.initial = "A" & $admin.greet("Hi") = "Hi, Bo"')(vars), true)
+    assert.strictEqual(allow('$user.password', {compile: 'js'})(vars), null)
+    assert.strictEqual(allow('$user.constructor')(vars), null)
+    assert.deepStrictEqual(allow('$user.keys')(vars), ['name'])
+    const deny = conscript({properties: [[User, {deny: ['password']}]]})
+    assert.strictEqual(deny('$user.password')(vars), null)
+    assert.strictEqual(deny('$user.name')(vars), 'Ann')
+    assert.strictEqual(deny('$user.initial')(vars), null)
+    assert.throws(() => conscript({properties: new Map([[User, {}]])})('$user.name')(vars), /must have either an `allow` or a `deny` list/)
+  })
+
+  it('should let `canAccess` decide', function () {
+    const c = conscript({canAccess: (obj, prop, allowed) => allowed ? prop !== 'password' : prop === 'initial'})
+    assert.strictEqual(c('$user.password')(vars), null)
+    assert.strictEqual(c('$user.initial')(vars), 'A')
+    assert.strictEqual(c('$user.name')(vars), 'Ann')
+  })
+
+  it('should let `canCall` decide which functions can be called', function () {
+    const c = conscript({canCall: (fn, name) => name !== 'remove'})
+    assert.throws(() => c('$user.remove()')(vars), {name: 'ConscriptRuntimeError', message: /^Calling `remove` is not allowed/})
+    assert.strictEqual(c('[$user.remove].(0)', {compile: 'js'})(vars), null)
+    assert.strictEqual(c('$f(2)')({f: x => x * 2}), 4)
+    assert.strictEqual(c('((x){x + 1})(1) = 2 & [1].map((x){x}).length = 1')(), true)
+    assert.strictEqual(conscript()('$user.remove()')(vars), 'removed')
+    return assert.rejects(c.async('$user.remove?.()')(vars), /Calling `remove` is not allowed/)
+  })
+
+  it('should check `canCall` for every call', function () {
+    const remove = () => 'removed'
+    const c = conscript({canCall: fn => fn !== remove})
+    for (const options of [{}, {compile: 'js'}]) {
+      assert.throws(() => c('$remove()', options)({remove}), /^ConscriptRuntimeError: Calling `remove` is not allowed/)
+      assert.throws(() => c('$g()()', options)({g: () => remove}), /^ConscriptRuntimeError: Calling this function is not allowed/)
+      assert.throws(() => c('[$remove].first()', options)({remove}), /Calling `remove` is not allowed/)
+      assert.throws(() => c('$a.map((f){f()})', options)({a: [remove]}), /Calling `f` is not allowed/)
+      assert.strictEqual(c('$g()() & [1].map((x){x * 2}).first = 2', options)({g: () => () => true}), true)
+    }
+    const greet = conscript({properties: new Map([[User, {allow: ['greet']}]]), canCall: (fn, name, obj) => obj instanceof User && name === 'greet'})
+    assert.strictEqual(greet('$user.greet("Hi")', {compile: 'js'})(vars), 'Hi, Ann')
+    return assert.rejects(c.async('$remove()')({remove}), /Calling `remove` is not allowed/)
+  })
+
+  it('should check `canCall` before a method calls a function', async function () {
+    const f = () => true
+    const never = conscript({canCall: () => false})
+    const notF = conscript({canCall: (fn, name) => name !== 'f'})
+    const scripts = [
+      '$xs.map($f)', '$xs.filter($f)', '$xs.find($f)', '$xs.some($f)', '$xs.every($f)', '$xs.sort($f)', '$xs.reduce($f, 0)',
+      '$xs.pop(1, $f)', '$xs.shift(1, $f)', 'let g = $f in g()', '((h){h()})($f)', '[$f].first()',
+    ]
+    for (const c of [never, notF]) {
+      for (const options of [{}, {compile: 'js'}]) {
+        for (const script of scripts) {
+          assert.throws(() => c(script, options)({xs: [1, 2], f, g: () => f}), {name: 'ConscriptRuntimeError', message: /^Calling (`f`|this function) is not allowed/}, script)
+        }
+      }
+      for (const script of scripts) {
+        await assert.rejects(c(script, {async: true})({xs: [1, 2], f, g: () => f}), /^ConscriptRuntimeError: Calling (`f`|this function) is not allowed/, script)
+      }
+    }
+    assert.throws(() => conscript({canCall: fn => fn !== f})('$xs.map($g())')({xs: [1], f, g: () => f}), /Calling this function is not allowed/)
+    assert.strictEqual(notF('$f is function & $xs.map($h).length = 2')({xs: [1, 2], f, h: f}), true)
+  })
+})